@@ -12,611 +12,4197 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const acorn = require('acorn');
 const walk = require('acorn-walk');
+const { SourceMapBuilder, decodeMappings, findSegment, composeSourceMaps } = require('./lib/source-map');
+const { startDevServer } = require('./lib/dev-server');
+const { analyzeScope, collectPatternNames } = require('./lib/scope');
+const { DEFAULT_LOADERS, LOADERS } = require('./lib/loaders');
+const { Diagnostics, BuildError, formatDiagnostic, formatError } = require('./lib/diagnostics');
+const { BuildCache } = require('./lib/cache');
+const { MemoryFileSystem } = require('./lib/memory-fs');
+const { measureSources, renderStatsHtml } = require('./lib/stats');
+const { findModuleScripts, transformHtml, renderAttributes, escapeAttribute, isRemoteUrl } = require('./lib/html');
+const { normalizeDefines, applyDefines } = require('./lib/define');
+const {
+    isPureDeclaration,
+    isPureStatement,
+    getDeclaredNames,
+    collectReferences,
+    matchesSideEffectsPattern
+} = require('./lib/tree-shaking');
+
+// Logger for builds that print nothing
+const SILENT_LOGGER = { log() {}, warn() {}, error() {} };
 
 class SimpleBundler {
     constructor(config) {
+        // Files are read and written through the fs module, or through a file
+        // system given in the config (files builds an in-memory one)
+        this.fs = config.fs || (config.files ? new MemoryFileSystem(config.files, config.cwd || '/') : fs);
         this.config = this.normalizeConfig(config);
-        this.entryFile = this.config.entry;
+        this.entries = this.config.entries;
         this.modules = new Map();
-        this.moduleId = 0;
         this.plugins = this.config.plugins || [];
+        this.packageCache = new Map();
+        this.treeShaking = null;
+        // resolveId results by importer, then specifier
+        this.pluginResolutions = new Map();
+        // Files plugins emitted while building, by file name
+        this.emittedFiles = new Map();
+        // Errors and warnings of the current build
+        this.diagnostics = new Diagnostics();
+        // Edits that replace defined expressions, by module AST
+        this.defineTransformations = new WeakMap();
+        // Warnings and files plugins emitted, counted so results that came
+        // with them aren't cached (a cache hit would lose them)
+        this.pluginSideEffects = 0;
+        this.cache = this.config.cache ? new BuildCache(this.config.cache, this.getCacheSalt()) : null;
+        // Module code of the last build and the one a hot update was made against
+        this.hotBuild = null;
+        this.previousHotBuild = null;
+        // Modules evaluated asynchronously: top-level await, or an async dependency
+        this.asyncModules = new Set();
+        // Every warning of the current build, once reported
+        this.warnings = [];
+        // build() calls run one after the other
+        this.pendingBuild = Promise.resolve();
     }
 
     /**
      * Normalize and resolve paths in the config
      */
     normalizeConfig(config) {
+        // Relative paths in the config are relative to cwd; builds from an
+        // in-memory file system don't depend on the process's directory
+        const cwd = config.cwd
+            ? path.resolve(config.cwd)
+            : this.fs === fs ? process.cwd() : '/';
+        if (config.cache && this.fs !== fs) {
+            throw new Error('The build cache needs the real file system, it can\'t be used with fs or files');
+        }
+
+        // output is either the bundle's path or { file, format, name }
+        const output = typeof config.output === 'object' && config.output !== null
+            ? config.output
+            : { file: config.output };
+        const format = output.format || 'iife';
+
+        // output.dir is shorthand for a "[name].js" file in that directory
+        const outputFile = output.dir
+            ? path.join(output.dir, '[name].js')
+            : output.file || 'dist/bundle.js';
+
+        // entry is a path, or an object mapping entry names to paths
+        const entryMap = typeof config.entry === 'object' && config.entry !== null
+            ? config.entry
+            : { [path.basename(config.entry, path.extname(config.entry))]: config.entry };
+
+        // HTML pages bring their module scripts in as entries
+        const entries = [];
+        const htmlEntries = [];
+        const addEntry = (name, filePath) => {
+            const existing = entries.find(entry => entry.name === name || entry.filePath === filePath);
+            if (existing && existing.filePath !== filePath) {
+                throw new Error(`Entry name "${name}" is used for both ${existing.filePath} and ${filePath}`);
+            }
+            if (!existing) entries.push({ name, filePath });
+            return existing ? existing.name : name;
+        };
+        for (const [name, file] of Object.entries(entryMap)) {
+            const filePath = path.resolve(cwd, file);
+            if (path.extname(filePath) !== '.html') {
+                addEntry(name, filePath);
+                continue;
+            }
+
+            const page = this.readHtmlEntry(name, filePath);
+            for (const script of page.scripts) {
+                script.name = addEntry(script.name, script.filePath);
+            }
+            htmlEntries.push(page);
+        }
+
+        if (entries.length === 0) {
+            throw new Error('No entry points configured');
+        }
+        if (htmlEntries.length > 0 && format === 'cjs') {
+            throw new Error('HTML entries need a format that runs in the browser: iife, esm or umd');
+        }
+        if (entries.length > 1 && !path.basename(outputFile).includes('[name]')) {
+            throw new Error('Multiple entries need an output file name with [name] (such as "dist/[name].js") or output.dir');
+        }
+
+        if (!SimpleBundler.OUTPUT_FORMATS.includes(format)) {
+            throw new Error(`Unknown output format "${format}", expected one of: ${SimpleBundler.OUTPUT_FORMATS.join(', ')}`);
+        }
+        if (format === 'umd' && !output.name) {
+            throw new Error('The umd output format needs output.name for the global it assigns');
+        }
+        if (output.name && !/^[A-Za-z_$][\w$]*$/.test(output.name)) {
+            throw new Error(`output.name must be a valid identifier, got "${output.name}"`);
+        }
+
+        // loaders maps file extensions to loader names, on top of the defaults
+        const loaders = { ...DEFAULT_LOADERS };
+        for (const [extension, loader] of Object.entries(config.loaders || {})) {
+            if (loader !== 'js' && !LOADERS[loader]) {
+                throw new Error(`Unknown loader "${loader}" for ${extension}, expected one of: js, ${Object.keys(LOADERS).join(', ')}`);
+            }
+            loaders[extension.startsWith('.') ? extension : '.' + extension] = loader;
+        }
+        const css = config.css || 'inject';
+        if (!['inject', 'extract'].includes(css)) {
+            throw new Error(`css must be "inject" or "extract", got "${css}"`);
+        }
+        const ecmaVersion = config.ecmaVersion || 'latest';
+        if (ecmaVersion !== 'latest' && !(Number.isInteger(ecmaVersion) && ecmaVersion >= 2015)) {
+            throw new Error(`ecmaVersion must be "latest" or a year from 2015 on, got ${JSON.stringify(ecmaVersion)}`);
+        }
+
+        const root = config.root
+            ? path.resolve(cwd, config.root)
+            : this.findProjectRoot(path.dirname(entries[0].filePath));
+
+        // cache is true for the default directory, or the directory to use
+        const cache = typeof config.cache === 'string'
+            ? path.resolve(cwd, config.cache)
+            : config.cache ? path.join(root, 'node_modules', '.cache', 'simple-bundler') : null;
+
         return {
-            entry: path.resolve(process.cwd(), config.entry),
-            output: path.resolve(process.cwd(), config.output || 'dist/bundle.js'),
+            cwd,
+            entry: entries[0].filePath,
+            entries,
+            // Pages written next to the bundle with its files injected
+            htmlEntries,
+            // Module IDs are relative to this directory
+            root,
+            // With several entries this is a pattern: [name] is replaced by each entry's name
+            output: path.resolve(cwd, outputFile),
+            // iife, esm, cjs or umd; name is the global iife and umd bundles assign
+            format,
+            name: output.name,
             plugins: config.plugins || [],
+            // true (or 'external') writes a .map file, 'inline' embeds it, false disables
+            sourceMap: config.sourceMap || false,
+            // URL prefix for lazily loaded chunks, defaults to the bundle's own location
+            publicPath: config.publicPath,
+            // Hot module replacement needs every module in its own function with
+            // all of its exports, so it turns tree shaking and scope hoisting off
+            hmr: Boolean(config.hmr),
+            treeShaking: config.treeShaking !== false && !config.hmr,
+            scopeHoist: Boolean(config.scopeHoist) && !config.hmr,
+            loaders,
+            // The JavaScript version modules are parsed as; top-level await needs 2022 or later
+            ecmaVersion,
+            // CSS is injected with <style> tags at runtime, or extracted to .css files
+            css,
+            // Assets smaller than this many bytes are inlined as data URLs
+            assetInlineLimit: config.assetInlineLimit !== undefined ? config.assetInlineLimit : 4096,
+            // Missing modules and exports fail the build, instead of only being warned about
+            strict: config.strict !== false,
+            // Directory of the persistent build cache, or null when caching is off
+            cache,
+            // Write stats.json and stats.html about what went into the bundle
+            stats: config.stats || false,
+            // Global expressions replaced with code at build time, such as process.env.NODE_ENV
+            define: normalizeDefines(config.define),
+            // How import specifiers turn into files
+            resolve: this.normalizeResolveConfig(config.resolve || {}, cwd),
+            // Imports left out of the bundle, each with the global iife and umd bundles read it from
+            externals: this.normalizeExternals(config.externals || {}, format),
+            // Where progress and warnings are printed: console, an object with
+            // log, warn and error methods, or false to print nothing
+            logger: config.logger === false ? SILENT_LOGGER : config.logger || console
+        };
+    }
+
+    /**
+     * Read an HTML entry: each local <script type="module" src> is a
+     * JavaScript entry, named after the page when it is the only one and
+     * after its file otherwise
+     */
+    readHtmlEntry(name, filePath) {
+        const scripts = findModuleScripts(this.fs.readFileSync(filePath, 'utf-8'))
+            .filter(script => !isRemoteUrl(script.src));
+        if (scripts.length === 0) {
+            throw new Error(`${filePath} has no <script type="module" src> tags to use as entries`);
+        }
+
+        return {
+            name,
+            filePath,
+            scripts: scripts.map(script => ({
+                src: script.src,
+                name: scripts.length === 1 ? name : path.basename(script.src, path.extname(script.src)),
+                filePath: this.resolveHtmlScript(filePath, script.src)
+            }))
+        };
+    }
+
+    /**
+     * The file a script src of an HTML page refers to; paths starting with /
+     * are relative to the page's directory, as when it is served from there
+     */
+    resolveHtmlScript(htmlPath, src) {
+        let scriptPath;
+        try {
+            scriptPath = decodeURIComponent(src.replace(/[?#].*$/, ''));
+        } catch (err) {
+            throw new Error(`${htmlPath} has a <script> src that isn't a valid URL: ${src}`);
+        }
+        return path.join(path.dirname(htmlPath), scriptPath);
+    }
+
+    /**
+     * Normalize the resolve options: aliases become { find, exact, replacement }
+     * entries (longest first) with replacement paths made absolute
+     */
+    normalizeResolveConfig(resolve, cwd) {
+        const extensions = resolve.extensions || ['.js', '.mjs', '.cjs', '.json'];
+        const mainFiles = resolve.mainFiles || ['index'];
+        const modules = resolve.modules || ['node_modules'];
+
+        for (const [name, list] of Object.entries({ extensions, mainFiles, modules })) {
+            if (!Array.isArray(list) || list.some(item => typeof item !== 'string' || item === '')) {
+                throw new Error(`resolve.${name} must be an array of strings`);
+            }
+        }
+        const badExtension = extensions.find(extension => !extension.startsWith('.'));
+        if (badExtension) {
+            throw new Error(`resolve.extensions must start with a dot, got "${badExtension}"`);
+        }
+
+        // "key$" only matches the specifier itself, "key" also whatever is under it
+        const alias = Object.entries(resolve.alias || {}).map(([key, replacement]) => {
+            if (typeof replacement !== 'string') {
+                throw new Error(`resolve.alias "${key}" must map to a string`);
+            }
+            return {
+                find: key.endsWith('$') ? key.slice(0, -1) : key,
+                exact: key.endsWith('$'),
+                // Paths are relative to the working directory, anything else is a package
+                replacement: this.isLocalModule(replacement) ? path.resolve(cwd, replacement) : replacement
+            };
+        }).sort((a, b) => b.find.length - a.find.length);
+
+        return {
+            alias,
+            extensions,
+            mainFiles,
+            // Paths are searched as they are, names (node_modules) in every directory up from the importer
+            modules: modules.map(dir => this.isLocalModule(dir) ? path.resolve(cwd, dir) : dir)
+        };
+    }
+
+    /**
+     * Normalize the externals, a list of specifiers or an object mapping
+     * each to its global (true for none), into a map from specifier to
+     * global name or null. iife and umd bundles can't import anything,
+     * so there every external needs a global
+     */
+    normalizeExternals(externals, format) {
+        const entries = Array.isArray(externals)
+            ? externals.map(specifier => [specifier, null])
+            : Object.entries(externals).map(([specifier, global]) => [specifier, global === true ? null : global]);
+
+        for (const [specifier, global] of entries) {
+            if (typeof specifier !== 'string' || specifier === '') {
+                throw new Error('externals must be import specifiers such as "react"');
+            }
+            if (global !== null && (typeof global !== 'string' || !/^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/.test(global))) {
+                throw new Error(`externals "${specifier}" must map to a global name such as "React", got ${JSON.stringify(global)}`);
+            }
+            if (global === null && (format === 'iife' || format === 'umd')) {
+                throw new Error(`externals "${specifier}" needs a global name for the ${format} format, such as { "${specifier}": "MyLibrary" }`);
+            }
+        }
+        return new Map(entries);
+    }
+
+    /**
+     * Everything cached results depend on besides the code they were made
+     * from: the bundler's own source, the config, and each plugin's name,
+     * version and cacheKey (a plugin sets cacheKey to reflect its options)
+     */
+    getCacheSalt() {
+        const libDir = path.join(__dirname, 'lib');
+        const bundlerHash = crypto.createHash('sha256').update(fs.readFileSync(__filename));
+        for (const file of fs.readdirSync(libDir).sort()) {
+            bundlerHash.update(fs.readFileSync(path.join(libDir, file)));
+        }
+
+        const { plugins, cache, logger, externals, ...config } = this.config;
+        return JSON.stringify({
+            bundler: bundlerHash.digest('hex'),
+            config: { ...config, externals: [...externals] },
+            plugins: plugins.map(plugin => [plugin.name, plugin.version, plugin.cacheKey])
+        });
+    }
+
+    /**
+     * Delete everything in the persistent build cache
+     */
+    clearCache() {
+        if (this.cache) this.cache.clear();
+    }
+
+    /**
+     * Find the directory of the package.json closest to a directory,
+     * falling back to the directory itself
+     */
+    findProjectRoot(startDir) {
+        for (let dir = startDir; ; dir = path.dirname(dir)) {
+            if (this.fs.existsSync(path.join(dir, 'package.json'))) return dir;
+            if (path.dirname(dir) === dir) return startDir;
+        }
+    }
+
+    /**
+     * Create the `this` plugin hooks are called with
+     * Files emitted while generating the bundle go straight into it
+     */
+    getPluginContext(plugin, bundle = null) {
+        const pluginName = plugin.name || 'unnamed';
+
+        return {
+            warn: (message) => {
+                this.pluginSideEffects++;
+                this.diagnostics.warn(`[plugin ${pluginName}] ${message}`);
+            },
+            error: (message) => {
+                const err = message instanceof Error ? message : new Error(message);
+                err.message = `[plugin ${pluginName}] ${err.message}`;
+                err.plugin = pluginName;
+                throw err;
+            },
+            emitFile: (file) => {
+                if (file.type !== 'asset') {
+                    throw new Error(`[plugin ${pluginName}] Only assets can be emitted, got type '${file.type}'`);
+                }
+                const fileName = file.fileName || file.name;
+                if (!fileName) {
+                    throw new Error(`[plugin ${pluginName}] Emitted files need a fileName or name`);
+                }
+
+                const asset = { type: 'asset', fileName, source: file.source };
+                this.pluginSideEffects++;
+                if (bundle) {
+                    bundle[fileName] = asset;
+                } else {
+                    this.emittedFiles.set(fileName, asset);
+                }
+                return fileName;
+            },
+            getModuleIds: () => [...this.modules.keys()],
+            getModuleInfo: (id) => this.getModuleInfo(id)
+        };
+    }
+
+    /**
+     * Describe a module of the graph for plugins
+     */
+    getModuleInfo(id) {
+        const module = this.modules.get(id);
+        if (!module) return null;
+
+        const resolveAll = (specifiers) => specifiers
+            .filter(specifier => specifier && this.isResolvable(id, specifier))
+            .map(specifier => this.resolveDependencyPath(id, specifier));
+
+        return {
+            id,
+            code: module.content,
+            isEntry: this.entries.some(entry => entry.filePath === id),
+            isCommonJS: module.isCommonJS,
+            importedIds: resolveAll(module.dependencies),
+            dynamicallyImportedIds: resolveAll(module.dynamicDependencies)
+        };
+    }
+
+    /**
+     * Call a hook on every plugin in order, until one returns something
+     * other than null or undefined
+     */
+    async callHookFirst(hookName, args) {
+        for (const plugin of this.plugins) {
+            if (typeof plugin[hookName] !== 'function') continue;
+
+            const result = await plugin[hookName].apply(this.getPluginContext(plugin), args);
+            if (result !== null && result !== undefined) return result;
+        }
+        return null;
+    }
+
+    /**
+     * Call a hook on every plugin in order
+     */
+    async callHookSequential(hookName, args, bundle = null) {
+        for (const plugin of this.plugins) {
+            if (typeof plugin[hookName] === 'function') {
+                await plugin[hookName].apply(this.getPluginContext(plugin, bundle), args);
+            }
+        }
+    }
+
+    /**
+     * Apply plugins at different bundle phases
+     * Allows for code transformation, optimization, or analysis
+     */
+    async applyPlugins(phase, content, moduleInfo = {}) {
+        let result = content;
+        for (const plugin of this.plugins) {
+            if (plugin[phase]) {
+                result = await plugin[phase].call(this.getPluginContext(plugin), result, moduleInfo);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Run the transform hooks over a module's code, chaining their source maps
+     * Returns { code, map }; map is null when no plugin returned one
+     */
+    async applyTransformHooks(code, map, id) {
+        let result = { code, map };
+        for (const plugin of this.plugins) {
+            if (typeof plugin.transform !== 'function') continue;
+
+            const output = await plugin.transform.call(this.getPluginContext(plugin), result.code, id);
+            if (output === null || output === undefined) continue;
+
+            if (typeof output === 'string') {
+                // A plugin that rewrites the code without a map invalidates the chain
+                if (result.map && output !== result.code) {
+                    this.pluginSideEffects++;
+                    this.diagnostics.warn(`Plugin '${plugin.name}' did not return a source map, source map dropped`, { filePath: id });
+                    result.map = null;
+                }
+                result.code = output;
+                continue;
+            }
+
+            const outputMap = typeof output.map === 'string' ? JSON.parse(output.map) : output.map || null;
+            result = {
+                code: output.code,
+                map: outputMap && result.map ? composeSourceMaps(outputMap, result.map) : outputMap
+            };
+        }
+        return result;
+    }
+
+    /**
+     * Apply bundle-level plugins, chaining source maps through each one
+     * A plugin may return a string, or { code, map } to keep maps accurate
+     */
+    async applyBundlePlugins(code, map) {
+        // Minifying is the slowest part of a build, and its result only depends on the input
+        const cacheKey = this.cache && this.plugins.some(plugin => plugin.bundle)
+            ? this.cache.key(code, map)
+            : null;
+        const cached = cacheKey && this.cache.get('bundles', cacheKey);
+        if (cached) return cached;
+        const sideEffects = this.pluginSideEffects;
+
+        let result = { code, map };
+        for (const plugin of this.plugins) {
+            if (!plugin.bundle) continue;
+
+            const output = await plugin.bundle.call(
+                this.getPluginContext(plugin), result.code, { sourceMap: !!result.map }
+            );
+
+            if (typeof output === 'string') {
+                // A plugin that rewrites the code without a map invalidates ours
+                if (result.map && output !== result.code) {
+                    this.pluginSideEffects++;
+                    this.diagnostics.warn(`Plugin '${plugin.name}' did not return a source map, source map dropped`);
+                    result.map = null;
+                }
+                result.code = output;
+            } else {
+                result = {
+                    code: output.code,
+                    map: result.map && output.map
+                        ? composeSourceMaps(
+                            typeof output.map === 'string' ? JSON.parse(output.map) : output.map,
+                            result.map
+                        )
+                        : null
+                };
+            }
+        }
+        if (cacheKey && this.pluginSideEffects === sideEffects) {
+            this.cache.set('bundles', cacheKey, result);
+        }
+        return result;
+    }
+
+    /**
+     * Main entry point to bundle the project
+     */
+    async bundle(outputFile) {
+        // 1. Build the dependency graph starting from the entry files
+        await this.buildModuleGraph();
+
+        const { code } = await this.renderBundle(outputFile);
+        return code;
+    }
+
+    /**
+     * Build the dependency graph between the buildStart and buildEnd hooks;
+     * with changedFiles, only those are read again
+     */
+    async buildModuleGraph(changedFiles = null) {
+        // A full build reads everything again: the files may have changed
+        // since the last one (as an in-memory file system can between builds).
+        // Files emitted by the modules that aren't read again stay
+        if (!changedFiles) {
+            this.modules.clear();
+            this.packageCache.clear();
+            this.pluginResolutions.clear();
+            this.emittedFiles.clear();
+        }
+        this.diagnostics.clear();
+        this.warnings = [];
+        await this.callHookSequential('buildStart', [this.config]);
+
+        try {
+            if (changedFiles) {
+                for (const filePath of changedFiles) {
+                    this.modules.delete(filePath);
+                }
+                await this.refreshDependencyGraph();
+            } else {
+                for (const entry of this.entries) {
+                    await this.buildDependencyGraph(entry.filePath);
+                }
+            }
+        } catch (err) {
+            await this.callHookSequential('buildEnd', [err]);
+            throw err;
+        }
+
+        await this.callHookSequential('buildEnd', []);
+    }
+
+    /**
+     * Turn the current dependency graph into the final bundle and its source map,
+     * writing them (and any lazily loaded chunks) next to the output file if specified
+     */
+    async renderBundle(outputFile) {
+        // 2. Generate the entry bundle and its chunks with all modules
+        const bundleFile = outputFile || this.config.output;
+        const generatedChunks = await this.generateBundle(bundleFile);
+
+        // Entry chunks refer to the other chunks by file name, so those get their
+        // final (possibly content-hashed) names first
+        const renderOrder = [
+            ...generatedChunks.filter(chunk => !chunk.isEntry),
+            ...generatedChunks.filter(chunk => chunk.isEntry)
+        ];
+        const fileNames = new Map();
+        const renderedChunks = new Map();
+        const outputBundle = {};
+
+        for (const chunk of renderOrder) {
+            let code = chunk.code;
+            if (chunk.isEntry) {
+                for (const [placeholder, fileName] of fileNames) {
+                    code = code.split(placeholder).join(fileName);
+                }
+            }
+
+            // 3. Apply bundle-level plugins (e.g., minification)
+            let { code: finalContent, map: finalMap } = await this.applyBundlePlugins(code, chunk.map);
+
+            // 4. Hash the final code into the file name
+            const fileName = chunk.fileName.replace(/\[contenthash\]/g, () =>
+                crypto.createHash('sha256').update(finalContent).digest('hex').slice(0, 8)
+            );
+            fileNames.set(chunk.fileName, fileName);
+
+            // How much of the final code each module accounts for
+            const sourceSizes = this.config.stats && finalMap ? measureSources(finalContent, finalMap) : null;
+            // The map may only have been made for the stats
+            if (!this.config.sourceMap) finalMap = null;
+
+            // 5. Point the chunk at its source map
+            if (finalMap) {
+                finalMap.file = fileName;
+
+                if (this.config.sourceMap === 'inline') {
+                    const encodedMap = Buffer.from(JSON.stringify(finalMap)).toString('base64');
+                    finalContent += `\n//# sourceMappingURL=data:application/json;charset=utf-8;base64,${encodedMap}\n`;
+                } else {
+                    finalContent += `\n//# sourceMappingURL=${fileName}.map\n`;
+                }
+            }
+
+            // Extracted CSS goes next to the chunk, hashed on its own content
+            let cssFileName = null;
+            if (chunk.styles !== null) {
+                cssFileName = chunk.fileName.replace(/\.js$/, '').replace(/\[contenthash\]/g, () =>
+                    crypto.createHash('sha256').update(chunk.styles).digest('hex').slice(0, 8)
+                ) + '.css';
+                outputBundle[cssFileName] = { type: 'asset', fileName: cssFileName, source: chunk.styles };
+            }
+
+            renderedChunks.set(chunk, { fileName, code: finalContent, map: finalMap, css: cssFileName, sourceSizes });
+        }
+
+        // 6. Let plugins see (and change) everything that is about to be written
+        for (const chunk of generatedChunks) {
+            const { fileName, code, map, css } = renderedChunks.get(chunk);
+            outputBundle[fileName] = {
+                type: 'chunk',
+                fileName,
+                name: chunk.name,
+                isEntry: chunk.isEntry,
+                modules: chunk.modules,
+                css,
+                imports: chunk.imports.map(name =>
+                    renderedChunks.get(generatedChunks.find(other => other.name === name)).fileName
+                ),
+                code,
+                map
+            };
+        }
+        for (const [fileName, asset] of this.emittedFiles) {
+            outputBundle[fileName] = { ...asset };
+        }
+        for (const page of this.config.htmlEntries) {
+            const fileName = `${page.name}.html`;
+            outputBundle[fileName] = {
+                type: 'asset',
+                fileName,
+                source: this.renderHtmlEntry(page, outputBundle, path.dirname(bundleFile))
+            };
+        }
+        await this.callHookSequential('generateBundle', [{ ...this.config, dir: path.dirname(bundleFile) }, outputBundle], outputBundle);
+
+        const outputs = Object.values(outputBundle);
+        const outputChunks = outputs.filter(output => output.type === 'chunk');
+        const assets = outputs.filter(output => output.type === 'asset');
+
+        // 7. The manifest maps entry and chunk names to their files
+        const manifest = {};
+        for (const chunk of outputChunks) {
+            manifest[chunk.name] = chunk.isEntry
+                ? { file: chunk.fileName, isEntry: true, imports: chunk.imports }
+                : { file: chunk.fileName };
+
+            const styles = this.getChunkStyleFiles(chunk, outputBundle);
+            if (styles.length > 0) manifest[chunk.name].css = styles;
+        }
+
+        // 8. Write to output file if specified; chunks and assets go in the same directory
+        if (outputFile) {
+            const outputDir = path.dirname(outputFile);
+            for (const chunk of outputChunks) {
+                const chunkFile = path.join(outputDir, chunk.fileName);
+                this.fs.writeFileSync(chunkFile, chunk.code);
+
+                if (chunk.map && this.config.sourceMap !== 'inline') {
+                    this.fs.writeFileSync(chunkFile + '.map', JSON.stringify(chunk.map));
+                }
+            }
+            for (const asset of assets) {
+                const assetFile = path.join(outputDir, asset.fileName);
+                this.fs.mkdirSync(path.dirname(assetFile), { recursive: true });
+                this.fs.writeFileSync(assetFile, asset.source);
+            }
+            this.fs.writeFileSync(path.join(outputDir, 'manifest.json'), JSON.stringify(manifest, null, 2) + '\n');
+        }
+
+        // 9. Stats about what went into the bundle, as JSON and as an HTML report
+        const stats = this.config.stats
+            ? this.collectStats(generatedChunks, renderedChunks, assets, bundleFile)
+            : null;
+        if (stats && outputFile) {
+            const outputDir = path.dirname(outputFile);
+            this.fs.writeFileSync(path.join(outputDir, 'stats.json'), JSON.stringify(stats, null, 2) + '\n');
+            this.fs.writeFileSync(path.join(outputDir, 'stats.html'), renderStatsHtml(stats));
+        }
+
+        // 10. The update pages running the previous build can apply
+        const hotUpdate = this.config.hmr ? this.getHotUpdate() : null;
+
+        // Warnings from writing the HTML entries and the generateBundle hook
+        this.reportDiagnostics();
+
+        const toResult = ({ fileName, code, map }) => ({ fileName, code, map });
+        const [entryChunk, ...chunks] = outputChunks.map(toResult);
+        return { ...entryChunk, chunks, output: outputChunks, assets, manifest, stats, hotUpdate, warnings: this.warnings };
+    }
+
+    /**
+     * Build the project from the config and return everything it produced
+     * without writing it: the chunks with their code, source maps and CSS
+     * files, the assets, the manifest, the warnings and the module graph.
+     * Calls on the same bundler run one after the other
+     */
+    build() {
+        const run = async () => {
+            await this.buildModuleGraph();
+            const result = await this.renderBundle(null);
+            return {
+                chunks: result.output.map(chunk => ({
+                    fileName: chunk.fileName,
+                    name: chunk.name,
+                    isEntry: chunk.isEntry,
+                    code: chunk.code,
+                    map: chunk.map,
+                    css: chunk.css,
+                    imports: chunk.imports,
+                    modules: chunk.modules
+                })),
+                assets: result.assets.map(({ fileName, source }) => ({ fileName, source })),
+                manifest: result.manifest,
+                warnings: result.warnings.map(({ message, filePath, line, column }) => ({ message, filePath, line, column })),
+                modules: this.getModuleGraph(),
+                stats: result.stats
+            };
         };
+
+        const build = this.pendingBuild.then(run, run);
+        this.pendingBuild = build.catch(() => {});
+        return build;
+    }
+
+    /**
+     * The static and dynamic imports between the modules of the graph, and
+     * the other way around, by file path
+     */
+    getModuleImports() {
+        const imports = new Map();
+        const importers = new Map([...this.modules.keys()].map(filePath => [filePath, []]));
+        for (const filePath of this.modules.keys()) {
+            const info = this.getModuleInfo(filePath);
+            const moduleImports = [
+                ...info.importedIds.map(id => ({ filePath: id, dynamic: false })),
+                ...info.dynamicallyImportedIds.map(id => ({ filePath: id, dynamic: true }))
+            ].filter(({ filePath: target }) => this.modules.has(target));
+            imports.set(filePath, moduleImports);
+            for (const target of moduleImports) {
+                importers.get(target.filePath).push({ filePath, dynamic: target.dynamic });
+            }
+        }
+        return { imports, importers };
+    }
+
+    /**
+     * The module graph of the last build: each module's ID and file, whether
+     * it is an entry, made it into the output and is CommonJS, and its
+     * imports and importers by ID
+     */
+    getModuleGraph() {
+        const { imports, importers } = this.getModuleImports();
+        return [...this.modules.entries()].map(([filePath, module]) => ({
+            id: this.getModuleId(filePath),
+            filePath,
+            isEntry: this.entries.some(entry => entry.filePath === filePath),
+            included: this.isModuleIncluded(filePath),
+            isCommonJS: Boolean(module.isCommonJS),
+            imports: imports.get(filePath).map(target => ({
+                id: this.getModuleId(target.filePath),
+                dynamic: target.dynamic
+            })),
+            importers: [...new Set(importers.get(filePath).map(importer => this.getModuleId(importer.filePath)))]
+        }));
+    }
+
+    /**
+     * The stylesheets a page loading a chunk needs: those of its shared
+     * chunks, then its own
+     */
+    getChunkStyleFiles(chunk, outputBundle) {
+        return (chunk.isEntry ? chunk.imports : [])
+            .map(fileName => outputBundle[fileName] && outputBundle[fileName].css)
+            .concat(chunk.css)
+            .filter(Boolean);
+    }
+
+    /**
+     * Write an HTML entry for the output directory: its module scripts become
+     * tags for the entry files and the shared chunks they need first, whose
+     * stylesheets and preload hints go in the head, and other relative URLs
+     * are pointed back at the files they referred to
+     */
+    renderHtmlEntry(page, outputBundle, outputDir) {
+        const { format, publicPath } = this.config;
+        const toUrl = (fileName) => (publicPath !== undefined ? publicPath : '') + fileName;
+        const source = this.fs.readFileSync(page.filePath, 'utf-8');
+        const replacements = new Map();
+        const preloads = [];
+        const styles = [];
+        const loadedChunks = new Set();
+
+        for (const script of findModuleScripts(source)) {
+            const entry = page.scripts.find(other => other.src === script.src);
+            if (!entry) {
+                if (!isRemoteUrl(script.src)) {
+                    this.diagnostics.warn(`New script '${script.src}' isn't bundled until the build is restarted`, { filePath: page.filePath });
+                }
+                continue;
+            }
+            const chunk = Object.values(outputBundle).find(output =>
+                output.type === 'chunk' && output.isEntry && output.name === entry.name
+            );
+
+            // Shared chunks run first; module scripts are deferred, so the tags replacing them are too.
+            // An async entry would run as soon as it loads, before its shared chunks, so it waits like them
+            const entryAttributes = chunk.imports.length > 0
+                ? script.attributes.filter(([name]) => name !== 'async')
+                : script.attributes;
+            const tags = [];
+            for (const fileName of [...chunk.imports, chunk.fileName]) {
+                if (loadedChunks.has(fileName)) continue;
+                loadedChunks.add(fileName);
+
+                const url = escapeAttribute(toUrl(fileName));
+                const isModule = format === 'esm' && fileName === chunk.fileName;
+                const attributes = fileName === chunk.fileName ? renderAttributes(entryAttributes) : '';
+                preloads.push(isModule
+                    ? `<link rel="modulepreload" href="${url}">`
+                    : `<link rel="preload" as="script" href="${url}">`);
+                tags.push(`<script${isModule ? ' type="module"' : ' defer'} src="${url}"${attributes}></script>`);
+            }
+            for (const fileName of this.getChunkStyleFiles(chunk, outputBundle)) {
+                if (!styles.includes(fileName)) styles.push(fileName);
+            }
+            replacements.set(script.start, tags.join('\n' + script.indent));
+        }
+
+        const headTags = [
+            ...styles.map(fileName => `<link rel="stylesheet" href="${escapeAttribute(toUrl(fileName))}">`),
+            ...preloads
+        ];
+        return transformHtml(source, {
+            replaceScript: (script) => replacements.has(script.start) ? replacements.get(script.start) : null,
+            head: headTags.map(tag => `    ${tag}\n`).join(''),
+            // Relative to the page's new location, query and hash kept
+            rewriteUrl: (url) => {
+                const [, urlPath, suffix] = url.match(/^([^?#]*)(.*)$/);
+                const relative = path.relative(outputDir, path.resolve(path.dirname(page.filePath), urlPath));
+                return (relative.split(path.sep).join('/') || '.') + (urlPath.endsWith('/') ? '/' : '') + suffix;
+            }
+        });
+    }
+
+    /**
+     * The hot update from the previous build to this one: the IDs of the
+     * modules whose code changed and the script that swaps them in, or null
+     * when pages have to reload (after the first build, or when chunks,
+     * extracted styles, externals or HTML entries changed)
+     */
+    getHotUpdate() {
+        const previous = this.previousHotBuild;
+        this.previousHotBuild = this.hotBuild;
+        if (!previous || previous.layout !== this.hotBuild.layout) return null;
+
+        const changedModules = [...this.hotBuild.modules].filter(([moduleId, code]) =>
+            previous.modules.get(moduleId) !== code
+        );
+        return {
+            modules: changedModules.map(([moduleId]) => moduleId),
+            code: this.generateHotUpdate(changedModules)
+        };
+    }
+
+    /**
+     * Describe what went into the bundle: each chunk, each asset, and every
+     * module of the graph with its sizes, imports and why it is included
+     * (or that tree shaking left it out), plus packages bundled more than once
+     */
+    collectStats(generatedChunks, renderedChunks, assets, outputFile) {
+        // Bytes of each chunk's final code by source, null where the map got lost
+        const chunkSourceSizes = new Map();
+        const chunks = generatedChunks.map(chunk => {
+            const { fileName, code, sourceSizes } = renderedChunks.get(chunk);
+            chunkSourceSizes.set(chunk.name, sourceSizes);
+            return {
+                name: chunk.name,
+                fileName,
+                isEntry: chunk.isEntry,
+                size: Buffer.byteLength(code),
+                // Code of the bundle runtime and format wrapper, null without a source map
+                runtimeSize: sourceSizes ? sourceSizes.get(null) || 0 : null,
+                modules: chunk.modules
+            };
+        });
+
+        // Static and dynamic imports between the modules of the graph
+        const { imports, importers } = this.getModuleImports();
+
+        const modules = [...this.modules.entries()].map(([filePath, module]) => {
+            const id = this.getModuleId(filePath);
+            const included = this.isModuleIncluded(filePath);
+            const moduleChunks = chunks.filter(chunk => chunk.modules.includes(id));
+
+            // The module's share of each chunk's final code, found through the source map
+            let minifiedSize = null;
+            if (included && moduleChunks.every(chunk => chunkSourceSizes.get(chunk.name))) {
+                const sources = this.getMapSources(module, outputFile);
+                minifiedSize = 0;
+                for (const chunk of moduleChunks) {
+                    for (const source of sources) minifiedSize += chunkSourceSizes.get(chunk.name).get(source) || 0;
+                }
+            }
+
+            // Entries are there for their own sake, anything else because a module imports it
+            const reasons = [
+                ...this.entries
+                    .filter(entry => entry.filePath === filePath)
+                    .map(entry => ({ type: 'entry', name: entry.name })),
+                ...importers.get(filePath)
+                    .filter(importer => this.isModuleIncluded(importer.filePath))
+                    .map(importer => ({
+                        type: importer.dynamic ? 'dynamic-import' : 'import',
+                        module: this.getModuleId(importer.filePath)
+                    }))
+            ];
+
+            return {
+                id,
+                included,
+                chunks: moduleChunks.map(chunk => chunk.name),
+                originalSize: module.originalSize,
+                transformedSize: included ? module.transformedSize : null,
+                minifiedSize,
+                imports: imports.get(filePath).map(target => ({
+                    id: this.getModuleId(target.filePath),
+                    dynamic: target.dynamic
+                })),
+                importers: [...new Set(importers.get(filePath).map(importer => this.getModuleId(importer.filePath)))],
+                reasons
+            };
+        });
+
+        return {
+            chunks,
+            assets: assets.map(asset => ({ fileName: asset.fileName, size: Buffer.byteLength(asset.source) })),
+            modules,
+            duplicates: this.findDuplicatePackages(modules)
+        };
+    }
+
+    /**
+     * Find packages from node_modules that are bundled from more than one
+     * directory, typically different versions of the same dependency
+     */
+    findDuplicatePackages(moduleStats) {
+        const packages = new Map();
+        for (const [filePath] of this.modules) {
+            const match = /^(.*[\\/]node_modules[\\/]((?:@[^\\/]+[\\/])?[^\\/]+))[\\/]/.exec(filePath);
+            const info = moduleStats.find(module => module.id === this.getModuleId(filePath));
+            if (!match || !info.included) continue;
+
+            const [, dir, name] = match;
+            const copies = packages.get(name) || new Map();
+            packages.set(name, copies);
+            if (!copies.has(dir)) {
+                const pkg = this.readPackageJson(dir);
+                copies.set(dir, {
+                    dir: path.relative(this.config.root, dir).split(path.sep).join('/'),
+                    version: pkg && pkg.version,
+                    size: 0
+                });
+            }
+            copies.get(dir).size += info.minifiedSize !== null ? info.minifiedSize : info.transformedSize;
+        }
+
+        return [...packages.entries()]
+            .filter(([, copies]) => copies.size > 1)
+            .map(([name, copies]) => ({ name: name.split(path.sep).join('/'), copies: [...copies.values()] }));
+    }
+
+    /**
+     * Watch every module in the graph and rebuild when files change
+     * Only changed files are re-parsed; returns a handle with close()
+     * Pass a null outputFile to keep the bundle in memory and use onBuild
+     */
+    watch(outputFile = this.config.output, { debounce = 100, onBuild, onError } = {}) {
+        if (this.fs !== fs) {
+            throw new Error('Watching needs the real file system, it is not available with a custom fs');
+        }
+
+        const watchers = new Map();
+        // Directories watched for the files of imports that don't resolve yet,
+        // with those imports as { importer, dependency }
+        const directoryWatchers = new Map();
+        let missingImports = new Map();
+        const pendingFiles = new Set();
+        let timer = null;
+        let building = false;
+        let closed = false;
+
+        // Keep one watcher per module file and HTML entry (plus files that failed to load),
+        // and one per directory the file of a missing import would be created in
+        const syncWatchers = () => {
+            // A build that was running when the watcher closed has nothing to watch
+            if (closed) return;
+
+            const watchedFiles = new Set([
+                ...this.entries.map(entry => entry.filePath),
+                ...this.config.htmlEntries.map(page => page.filePath),
+                ...this.modules.keys(),
+                ...pendingFiles
+            ]);
+
+            for (const [filePath, watcher] of watchers) {
+                if (!watchedFiles.has(filePath)) {
+                    watcher.close();
+                    watchers.delete(filePath);
+                }
+            }
+
+            for (const filePath of watchedFiles) {
+                if (watchers.has(filePath) || !fs.existsSync(filePath)) continue;
+
+                const watcher = fs.watch(filePath, (eventType) => {
+                    // Editors that save by renaming replace the file, so watch it again
+                    if (eventType === 'rename') {
+                        watcher.close();
+                        watchers.delete(filePath);
+                    }
+                    scheduleRebuild(filePath);
+                });
+                watchers.set(filePath, watcher);
+            }
+
+            missingImports = this.collectMissingImports();
+            for (const [dir, watcher] of directoryWatchers) {
+                if (!missingImports.has(dir)) {
+                    watcher.close();
+                    directoryWatchers.delete(dir);
+                }
+            }
+
+            for (const dir of missingImports.keys()) {
+                if (directoryWatchers.has(dir)) continue;
+
+                // Anything can change in the directory; only imports that now find their
+                // file rebuild. A new subdirectory the file will be in is watched instead
+                directoryWatchers.set(dir, fs.watch(dir, () => {
+                    const imports = missingImports.get(dir) || [];
+                    const found = imports.filter(({ importer, dependency }) => !this.isMissingDependency(importer, dependency));
+                    for (const { importer } of found) {
+                        scheduleRebuild(importer);
+                    }
+                    if (found.length < imports.length && !building) syncWatchers();
+                }));
+            }
+        };
+
+        const scheduleRebuild = (filePath) => {
+            pendingFiles.add(filePath);
+            clearTimeout(timer);
+            timer = setTimeout(rebuild, debounce);
+        };
+
+        const rebuild = async () => {
+            if (closed) return;
+
+            // Wait for the running build, it will pick the changes up afterwards
+            if (building) {
+                timer = setTimeout(rebuild, debounce);
+                return;
+            }
+
+            building = true;
+            const changedFiles = [...pendingFiles];
+            const startTime = Date.now();
+
+            try {
+                await this.buildModuleGraph(changedFiles);
+                const result = await this.renderBundle(outputFile);
+
+                for (const filePath of changedFiles) {
+                    pendingFiles.delete(filePath);
+                }
+
+                const changed = changedFiles
+                    .map(filePath => path.relative(this.config.cwd, filePath))
+                    .join(', ');
+                this.config.logger.log(`[${new Date().toLocaleTimeString()}] Rebuilt in ${Date.now() - startTime}ms (${changed})`);
+                if (onBuild) onBuild(result);
+            } catch (err) {
+                // Keep the changed files pending so the next save retries them
+                if (err.filePath) pendingFiles.add(err.filePath);
+                this.config.logger.error(`[${new Date().toLocaleTimeString()}] Rebuild failed: ${formatError(err, { color: Boolean(process.stderr.isTTY), cwd: this.config.cwd })}`);
+                if (onError) onError(err);
+            } finally {
+                building = false;
+                syncWatchers();
+            }
+        };
+
+        // Initial build; a broken file still gets watched so it can be fixed
+        const ready = (async () => {
+            const startTime = Date.now();
+            try {
+                await this.buildModuleGraph();
+                const result = await this.renderBundle(outputFile);
+                this.config.logger.log(`[${new Date().toLocaleTimeString()}] Built in ${Date.now() - startTime}ms`);
+                if (onBuild) onBuild(result);
+            } catch (err) {
+                if (err.filePath) pendingFiles.add(err.filePath);
+                this.config.logger.error(`[${new Date().toLocaleTimeString()}] Build failed: ${formatError(err, { color: Boolean(process.stderr.isTTY), cwd: this.config.cwd })}`);
+                if (onError) onError(err);
+            }
+            syncWatchers();
+            if (!closed) this.config.logger.log('Watching for changes...');
+        })();
+
+        return {
+            ready,
+            close() {
+                closed = true;
+                clearTimeout(timer);
+                for (const watcher of [...watchers.values(), ...directoryWatchers.values()]) {
+                    watcher.close();
+                }
+                watchers.clear();
+                directoryWatchers.clear();
+            }
+        };
+    }
+
+    /**
+     * Find the imports of local files that don't exist, grouped by the
+     * closest existing directory their file would be created in
+     */
+    collectMissingImports() {
+        const missingImports = new Map();
+        for (const module of this.modules.values()) {
+            for (const dependency of [...module.dependencies, ...module.dynamicDependencies]) {
+                if (!dependency || !this.isResolvable(module.filePath, dependency)) continue;
+                if (!this.isMissingDependency(module.filePath, dependency)) continue;
+
+                let dir = path.dirname(this.resolveDependencyPath(module.filePath, dependency));
+                while (!fs.existsSync(dir) && path.dirname(dir) !== dir) {
+                    dir = path.dirname(dir);
+                }
+                if (!missingImports.has(dir)) missingImports.set(dir, []);
+                missingImports.get(dir).push({ importer: module.filePath, dependency });
+            }
+        }
+        return missingImports;
+    }
+
+    /**
+     * Bring the dependency graph up to date after modules were removed from it:
+     * missing modules are read again, unreachable ones are dropped
+     */
+    async refreshDependencyGraph() {
+        const reachable = new Set();
+
+        const visit = async (filePath) => {
+            if (reachable.has(filePath)) return;
+            reachable.add(filePath);
+
+            if (!this.modules.has(filePath)) {
+                await this.buildDependencyGraph(filePath);
+            }
+
+            const module = this.modules.get(filePath);
+            for (const dependency of [...module.dependencies, ...module.dynamicDependencies]) {
+                if (!dependency || !this.isResolvable(filePath, dependency)) continue;
+                if (this.isMissingDependency(filePath, dependency)) continue;
+                await visit(this.resolveDependencyPath(filePath, dependency));
+            }
+        };
+
+        for (const entry of this.entries) {
+            await visit(entry.filePath);
+        }
+
+        for (const filePath of this.modules.keys()) {
+            if (!reachable.has(filePath)) {
+                this.modules.delete(filePath);
+            }
+        }
+    }
+
+    /**
+     * Build a dependency graph by recursively following imports
+     */
+    async buildDependencyGraph(filePath) {
+        // Skip if module already processed
+        if (this.modules.has(filePath)) return;
+
+        try {
+            // Parse and analyze the module
+            const module = await this.readModule(filePath);
+            this.modules.set(filePath, module);
+
+            // Process each dependency recursively, dynamic imports included
+            for (const dependency of [...module.dependencies, ...module.dynamicDependencies]) {
+                // Skip empty dependencies or packages not found in node_modules
+                if (!dependency || !this.isResolvable(filePath, dependency)) continue;
+
+                // Files that don't exist are reported once the graph is complete
+                if (this.isMissingDependency(filePath, dependency)) continue;
+
+                try {
+                    // Resolve the absolute path to this dependency
+                    const absolutePath = this.resolveDependencyPath(filePath, dependency);
+
+                    // Process this dependency if not already processed
+                    if (!this.modules.has(absolutePath)) {
+                        await this.buildDependencyGraph(absolutePath);
+                    }
+                } catch (err) {
+                    // Errors from reading the dependency itself (plugins, syntax) fail the build
+                    if (err.filePath) throw err;
+                    this.diagnostics.warn(`Could not resolve '${dependency}': ${err.message}`, { filePath });
+                }
+            }
+        } catch (err) {
+            // Remember the innermost module that failed, for watch mode;
+            // build errors already say where they happened
+            if (!err.filePath) {
+                err.filePath = filePath;
+                this.config.logger.error(`Error processing module ${filePath}: ${err.message}`);
+            }
+            throw err;
+        }
+    }
+
+    /**
+     * Check if a dependency points at a local file that doesn't exist
+     * (plugins may resolve it to a module of their own)
+     */
+    isMissingDependency(importerPath, dependency) {
+        if (this.getPluginResolution(importerPath, dependency)) return false;
+
+        try {
+            const filePath = this.resolveDependencyPath(importerPath, dependency);
+            return path.isAbsolute(filePath) && !this.isFile(filePath);
+        } catch (err) {
+            return false;
+        }
+    }
+
+    /**
+     * Get the ID a module is registered under in the bundle runtime
+     */
+    getModuleId(filePath) {
+        // Virtual modules from plugins keep their own ID, minus the \0 marker
+        if (!path.isAbsolute(filePath)) return filePath.replace(/\0/g, '');
+
+        // Relative to the project root with forward slashes, so IDs (and content
+        // hashes) are the same whatever directory or machine the build runs on
+        return './' + path.relative(this.config.root, filePath).split(path.sep).join('/');
+    }
+
+    /**
+     * Check if a module is a local file (not a built-in or node_module)
+     */
+    isLocalModule(modulePath) {
+        return modulePath.startsWith('./') ||
+               modulePath.startsWith('../') ||
+               modulePath.startsWith('/');
+    }
+
+    /**
+     * Check if a dependency can be bundled: local files always are,
+     * bare specifiers only when they resolve to a file in node_modules,
+     * and configured externals never
+     */
+    isResolvable(importerPath, modulePath) {
+        if (this.config.externals.has(modulePath)) return false;
+
+        const resolution = this.getPluginResolution(importerPath, modulePath);
+        if (resolution) return !resolution.external;
+
+        const specifier = this.applyAlias(modulePath);
+        return this.isLocalModule(specifier) ||
+               this.resolveNodeModule(importerPath, specifier) !== null;
+    }
+
+    /**
+     * Check if the runtime can provide an import that isn't bundled: it is
+     * listed in externals or a resolveId hook made it external, and the
+     * output format can import it (esm, cjs) or it has a global (iife, umd)
+     */
+    isRuntimeExternal(importerPath, specifier) {
+        if (this.config.externals.has(specifier)) return true;
+
+        const resolution = this.getPluginResolution(importerPath, specifier);
+        return Boolean(resolution && resolution.external) && ['esm', 'cjs'].includes(this.config.format);
+    }
+
+    /**
+     * Rewrite a specifier with the first (longest) matching alias
+     */
+    applyAlias(specifier) {
+        for (const { find, exact, replacement } of this.config.resolve.alias) {
+            if (specifier === find) return replacement;
+            if (exact || !specifier.startsWith(find + '/')) continue;
+
+            const rest = specifier.slice(find.length + 1);
+            return path.isAbsolute(replacement) ? path.join(replacement, rest) : `${replacement}/${rest}`;
+        }
+        return specifier;
+    }
+
+    /**
+     * Get what a resolveId hook returned for an import, if any
+     */
+    getPluginResolution(importerPath, modulePath) {
+        const resolutions = this.pluginResolutions.get(importerPath);
+        return resolutions ? resolutions.get(modulePath) : undefined;
+    }
+
+    /**
+     * Run the resolveId hooks for every import of a module before it is
+     * analyzed, so resolution can stay synchronous afterwards
+     * A hook returns an id, { id, external } or false for external imports
+     */
+    async resolvePluginImports(importerPath, specifiers) {
+        const resolutions = new Map();
+
+        for (const specifier of specifiers) {
+            const resolved = await this.callHookFirst('resolveId', [specifier, importerPath]);
+            if (resolved === false || (resolved && resolved.external)) {
+                resolutions.set(specifier, { external: true });
+            } else if (resolved) {
+                resolutions.set(specifier, { id: typeof resolved === 'string' ? resolved : resolved.id });
+            }
+        }
+
+        this.pluginResolutions.set(importerPath, resolutions);
+    }
+
+    /**
+     * Resolve a dependency path relative to the importing file
+     * A local file that doesn't exist resolves to the path as written, so it
+     * is reported as missing (with the candidates tried) once the graph is complete
+     */
+    resolveDependencyPath(importerPath, dependencyPath) {
+        const resolution = this.getPluginResolution(importerPath, dependencyPath);
+        if (resolution && !resolution.external) return resolution.id;
+
+        const specifier = this.applyAlias(dependencyPath);
+        if (!this.isLocalModule(specifier)) {
+            const resolved = this.resolveNodeModule(importerPath, specifier);
+            if (!resolved) {
+                const searched = this.getModuleDirectories(importerPath)
+                    .filter(dir => this.fs.existsSync(dir))
+                    .map(dir => this.getModuleId(dir));
+                throw new Error(`Cannot find package '${dependencyPath}'` +
+                    (searched.length > 0 ? ` (searched ${searched.join(', ')})` : ''));
+            }
+            return resolved;
+        }
+
+        const candidates = this.getResolutionCandidates(importerPath, dependencyPath);
+        return candidates.find(candidate => this.isFile(candidate)) || candidates[0];
+    }
+
+    /**
+     * The files a local import can refer to, in the order they are tried:
+     * the path itself, with each extension, then the main files of a
+     * directory by that name
+     */
+    getResolutionCandidates(importerPath, dependencyPath) {
+        const basePath = path.resolve(path.dirname(importerPath), this.applyAlias(dependencyPath));
+        return this.getFileCandidates(basePath);
+    }
+
+    /**
+     * The files a path can refer to, by the configured extensions and main files
+     */
+    getFileCandidates(basePath) {
+        const { extensions, mainFiles } = this.config.resolve;
+        const withExtensions = (filePath) => [filePath, ...extensions.map(extension => filePath + extension)];
+        return [
+            ...withExtensions(basePath),
+            ...mainFiles.flatMap(mainFile => withExtensions(path.join(basePath, mainFile)))
+        ];
+    }
+
+    /**
+     * Check if a path is an existing file (not a directory)
+     */
+    isFile(filePath) {
+        return this.fs.existsSync(filePath) && this.fs.statSync(filePath).isFile();
+    }
+
+    /**
+     * Resolve a bare specifier (lodash-es, @scope/pkg/sub, #internal)
+     * the way Node does, walking up node_modules directories
+     */
+    resolveNodeModule(importerPath, specifier) {
+        // Subpath imports are resolved through the importer's own package.json
+        if (specifier.startsWith('#')) {
+            const pkg = this.findPackageJson(path.dirname(importerPath));
+            if (!pkg || !pkg.json.imports) return null;
+            return this.resolvePackageMap(pkg.dir, pkg.json.imports, specifier);
+        }
+
+        // Split the specifier into package name and subpath
+        const parts = specifier.split('/');
+        const nameLength = specifier.startsWith('@') ? 2 : 1;
+        const packageName = parts.slice(0, nameLength).join('/');
+        const subpath = ['.', ...parts.slice(nameLength)].join('/');
+
+        for (const modulesDir of this.getModuleDirectories(importerPath)) {
+            const packageDir = path.join(modulesDir, packageName);
+            const pkg = this.readPackageJson(packageDir);
+
+            if (pkg) {
+                return this.resolvePackageEntry(packageDir, pkg, subpath);
+            }
+
+            // Without a package.json, files are found like local ones
+            const resolved = this.resolveFileCandidate(path.join(modulesDir, specifier));
+            if (resolved) return resolved;
+        }
+        return null;
+    }
+
+    /**
+     * The directories bare specifiers are looked up in, in order
+     */
+    getModuleDirectories(importerPath) {
+        const dirs = [];
+        for (const modulesDir of this.config.resolve.modules) {
+            if (path.isAbsolute(modulesDir)) {
+                dirs.push(modulesDir);
+                continue;
+            }
+            for (let dir = path.dirname(importerPath); ; dir = path.dirname(dir)) {
+                dirs.push(path.join(dir, modulesDir));
+                if (path.dirname(dir) === dir) break;
+            }
+        }
+        return dirs;
+    }
+
+    /**
+     * Resolve a subpath inside a package using exports, browser, module and main
+     */
+    resolvePackageEntry(packageDir, pkg, subpath) {
+        // The exports field, when present, is the only public interface
+        if (pkg.exports !== undefined) {
+            return this.resolvePackageMap(packageDir, pkg.exports, subpath);
+        }
+
+        let resolved;
+        if (subpath === '.') {
+            const entry = (typeof pkg.browser === 'string' && pkg.browser) ||
+                          pkg.module ||
+                          pkg.main ||
+                          'index.js';
+            resolved = this.resolveFileCandidate(path.join(packageDir, entry));
+        } else {
+            resolved = this.resolveFileCandidate(path.join(packageDir, subpath));
+        }
+
+        // An object browser field can swap individual files for browser versions
+        if (resolved && pkg.browser && typeof pkg.browser === 'object') {
+            const key = './' + path.relative(packageDir, resolved).split(path.sep).join('/');
+            if (typeof pkg.browser[key] === 'string') {
+                resolved = this.resolveFileCandidate(path.join(packageDir, pkg.browser[key]));
+            }
+        }
+
+        return resolved;
+    }
+
+    /**
+     * Match a key against an exports/imports map, including "*" patterns
+     */
+    resolvePackageMap(packageDir, map, key) {
+        // A string, array or conditions object is shorthand for { ".": map }
+        const isSubpathMap = map && typeof map === 'object' && !Array.isArray(map) &&
+            Object.keys(map).some(k => k.startsWith('.') || k.startsWith('#'));
+        if (!isSubpathMap) {
+            return key === '.' ? this.resolvePackageTarget(packageDir, map, '') : null;
+        }
+
+        if (Object.prototype.hasOwnProperty.call(map, key)) {
+            return this.resolvePackageTarget(packageDir, map[key], '');
+        }
+
+        // Pick the pattern with the longest prefix that matches
+        let bestKey = null;
+        let bestMatch = '';
+        for (const pattern of Object.keys(map)) {
+            const starIndex = pattern.indexOf('*');
+            if (starIndex === -1) continue;
+
+            const prefix = pattern.slice(0, starIndex);
+            const suffix = pattern.slice(starIndex + 1);
+            if (key.length >= pattern.length - 1 &&
+                key.startsWith(prefix) &&
+                key.endsWith(suffix) &&
+                (!bestKey || prefix.length > bestKey.indexOf('*'))) {
+                bestKey = pattern;
+                bestMatch = key.slice(prefix.length, key.length - suffix.length);
+            }
+        }
+
+        return bestKey ? this.resolvePackageTarget(packageDir, map[bestKey], bestMatch) : null;
+    }
+
+    /**
+     * Resolve an exports target: a path, a list of fallbacks or a conditions object
+     */
+    resolvePackageTarget(packageDir, target, patternMatch) {
+        if (typeof target === 'string') {
+            const filePath = path.join(packageDir, target.replace(/\*/g, patternMatch));
+            return this.isFile(filePath) ? filePath : null;
+        }
+
+        if (Array.isArray(target)) {
+            for (const fallback of target) {
+                const resolved = this.resolvePackageTarget(packageDir, fallback, patternMatch);
+                if (resolved) return resolved;
+            }
+            return null;
+        }
+
+        if (target && typeof target === 'object') {
+            // Conditions are tried in the order the package lists them
+            for (const [condition, value] of Object.entries(target)) {
+                if (!SimpleBundler.EXPORT_CONDITIONS.includes(condition)) continue;
+                const resolved = this.resolvePackageTarget(packageDir, value, patternMatch);
+                if (resolved) return resolved;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Resolve a file path, trying the configured extensions and main files
+     */
+    resolveFileCandidate(filePath) {
+        return this.getFileCandidates(filePath).find(candidate => this.isFile(candidate)) || null;
+    }
+
+    /**
+     * Read and cache a package's package.json, or null if there is none
+     */
+    readPackageJson(packageDir) {
+        if (!this.packageCache.has(packageDir)) {
+            const packageJsonPath = path.join(packageDir, 'package.json');
+            this.packageCache.set(
+                packageDir,
+                this.fs.existsSync(packageJsonPath)
+                    ? JSON.parse(this.fs.readFileSync(packageJsonPath, 'utf-8'))
+                    : null
+            );
+        }
+        return this.packageCache.get(packageDir);
+    }
+
+    /**
+     * Find the nearest package.json at or above a directory
+     */
+    findPackageJson(dir) {
+        while (true) {
+            const json = this.readPackageJson(dir);
+            if (json) return { dir, json };
+
+            const parentDir = path.dirname(dir);
+            if (parentDir === dir) return null;
+            dir = parentDir;
+        }
+    }
+
+    /**
+     * Read and parse a module file, extracting its AST and metadata
+     */
+    async readModule(filePath) {
+        // A load hook can supply the code, otherwise it comes from disk
+        const loaded = await this.callHookFirst('load', [filePath]);
+        const source = loaded === null
+            ? this.loadFile(filePath)
+            : typeof loaded === 'string' ? { code: loaded, map: null } : loaded;
+
+        // Transform hooks and parsing only depend on the loaded code
+        const cacheKey = this.cache && this.cache.key(filePath, source.code, source.map || null);
+        const cached = cacheKey && this.cache.get('modules', cacheKey);
+        const sideEffects = this.pluginSideEffects;
+
+        let content, map, ast;
+        if (cached) {
+            ({ content, map, ast } = cached);
+            this.defineTransformations.set(ast, cached.defineTransformations);
+        } else {
+            ({ code: content, map } = await this.applyTransformHooks(source.code, source.map || null, filePath));
+
+            // Parse file content into an AST; syntax errors point at the code
+            try {
+                ast = this.parseModule(content, filePath);
+            } catch (err) {
+                if (!err.loc) throw err;
+                throw new BuildError([this.diagnostics.error(err.message.replace(/ \(\d+:\d+\)$/, ''), {
+                    filePath,
+                    source: content,
+                    line: err.loc.line,
+                    column: err.loc.column
+                })], { cwd: this.config.cwd });
+            }
+        }
+
+        // Defines go first: imports in branches they rule out are never followed
+        this.replaceDefines(ast);
+
+        // Plugins resolve imports before analysis needs them
+        const specifiers = this.collectSpecifiers(ast);
+        await this.resolvePluginImports(filePath, specifiers);
+
+        // Analyze the AST to extract dependencies and prepare transformations;
+        // the cached analysis holds as long as the imports resolve the same way
+        // (what depends on the rest of the graph is redone by generateBundle)
+        const resolutions = this.cache ? this.resolveImports(filePath, specifiers) : null;
+        const isAnalysisCached = cached && JSON.stringify(cached.resolutions) === JSON.stringify(resolutions);
+        const moduleInfo = isAnalysisCached ? cached.analysis : this.analyzeModule(ast, content, filePath);
+
+        // Results that came with plugin warnings or files aren't cached, so those aren't lost
+        if (cacheKey && !isAnalysisCached && this.pluginSideEffects === sideEffects) {
+            this.cache.set('modules', cacheKey, {
+                content,
+                map,
+                ast,
+                defineTransformations: this.replaceDefines(ast),
+                resolutions,
+                analysis: moduleInfo
+            });
+        }
+
+        return {
+            id: this.getModuleId(filePath),
+            filePath,
+            content,
+            // Maps content back to the original source when plugins transformed it
+            map,
+            // CSS extracted from the module, if it is a stylesheet
+            styles: source.styles,
+            ast,
+            // Key of the module's cache entries, null when caching is off
+            cacheKey,
+            // Size of the file (or the code a load hook returned), for stats
+            originalSize: loaded === null ? this.fs.statSync(filePath).size : Buffer.byteLength(source.code),
+            ...moduleInfo
+        };
+    }
+
+    /**
+     * What each import of a module resolves to: a file and whether it
+     * exists, 'external', or null when it can't be resolved
+     */
+    resolveImports(filePath, specifiers) {
+        return specifiers.map(specifier => {
+            if (!this.isResolvable(filePath, specifier)) return [specifier, 'external'];
+            try {
+                const resolved = this.resolveDependencyPath(filePath, specifier);
+                return [specifier, resolved, !path.isAbsolute(resolved) || this.isFile(resolved)];
+            } catch (err) {
+                return [specifier, null];
+            }
+        });
+    }
+
+    /**
+     * Replace the configured define expressions in a module's AST and drop
+     * the branches that can't run, once per AST; returns the matching edits
+     * to the module's code
+     */
+    replaceDefines(ast) {
+        if (!this.defineTransformations.has(ast)) {
+            this.defineTransformations.set(ast, applyDefines(ast, this.config.define));
+        }
+        return this.defineTransformations.get(ast);
+    }
+
+    /**
+     * Read a file from disk and run the loader for its extension
+     * Returns { code, map, styles }: the module's code, and the CSS it extracted
+     */
+    loadFile(filePath) {
+        const loaderName = this.getLoaderName(filePath);
+        if (loaderName === 'js') {
+            return { code: this.fs.readFileSync(filePath, 'utf-8'), map: null };
+        }
+
+        let styles;
+        const code = LOADERS[loaderName](this.fs.readFileSync(filePath), {
+            filePath,
+            cssMode: this.config.css,
+            hmr: this.config.hmr,
+            inlineLimit: this.config.assetInlineLimit,
+            extractStyles: (css) => {
+                styles = css;
+            },
+            emitAsset: (fileName, content) => {
+                this.emittedFiles.set(fileName, { type: 'asset', fileName, source: content });
+            }
+        });
+        return { code, map: null, styles };
+    }
+
+    /**
+     * Get the name of the loader a file goes through, by its extension
+     */
+    getLoaderName(filePath) {
+        const extension = path.extname(filePath);
+        return Object.prototype.hasOwnProperty.call(this.config.loaders, extension)
+            ? this.config.loaders[extension]
+            : 'js';
+    }
+
+    /**
+     * Collect every module specifier a module refers to
+     */
+    collectSpecifiers(ast) {
+        const specifiers = new Set();
+        const addStatic = (node) => {
+            if (node.type === 'Literal' && typeof node.value === 'string') {
+                specifiers.add(node.value);
+            } else if (node.type === 'TemplateLiteral' && node.expressions.length === 0) {
+                specifiers.add(node.quasis[0].value.cooked);
+            }
+        };
+
+        walk.simple(ast, {
+            ImportDeclaration: (node) => addStatic(node.source),
+            ExportNamedDeclaration: (node) => node.source && addStatic(node.source),
+            ExportAllDeclaration: (node) => addStatic(node.source),
+            ImportExpression: (node) => addStatic(node.source),
+            CallExpression: (node) => {
+                const specifier = this.getRequireSpecifier(node);
+                if (specifier !== null) specifiers.add(specifier);
+            }
+        });
+
+        return [...specifiers];
+    }
+
+    /**
+     * Parse a module's source; CommonJS code that isn't valid in strict
+     * module code (top-level return, with, octal literals) is parsed as a script
+     */
+    parseModule(content, filePath) {
+        const options = { ecmaVersion: this.config.ecmaVersion, locations: true };
+
+        if (filePath.endsWith('.cjs')) {
+            return acorn.parse(content, { ...options, sourceType: 'script', allowReturnOutsideFunction: true });
+        }
+
+        try {
+            return acorn.parse(content, { ...options, sourceType: 'module' });
+        } catch (err) {
+            try {
+                return acorn.parse(content, { ...options, sourceType: 'script', allowReturnOutsideFunction: true });
+            } catch (scriptErr) {
+                // Not a script either: report the error as an ES module
+                throw err;
+            }
+        }
+    }
+
+    /**
+     * Check if a module uses await outside of functions (await or for await)
+     */
+    hasTopLevelAwait(ast) {
+        let found = false;
+        walk.recursive(ast, null, {
+            // Awaits in functions are their own
+            Function() {},
+            AwaitExpression() {
+                found = true;
+            },
+            ForOfStatement(node, state, c) {
+                if (node.await) found = true;
+                walk.base.ForOfStatement(node, state, c);
+            }
+        });
+        return found;
+    }
+
+    /**
+     * Check if a module is CommonJS: a .cjs file, or one without any
+     * import/export (or top-level await) that uses require, module or exports
+     */
+    isCommonJS(ast, filePath) {
+        if (filePath.endsWith('.cjs')) return true;
+        if (filePath.endsWith('.mjs')) return false;
+
+        const hasModuleSyntax = ast.body.some(statement =>
+            statement.type === 'ImportDeclaration' || statement.type.startsWith('Export')
+        );
+        if (hasModuleSyntax || this.hasTopLevelAwait(ast)) return false;
+
+        const { globals } = analyzeScope(ast);
+        return globals.has('require') || globals.has('module') || globals.has('exports');
+    }
+
+    /**
+     * Analyze a module's AST to extract imports, exports, and prepare for transformation
+     */
+    analyzeModule(ast, content, filePath) {
+        const defineTransformations = this.replaceDefines(ast);
+
+        // CommonJS modules keep their code, only their require() calls are followed
+        if (this.isCommonJS(ast, filePath)) {
+            const moduleInfo = this.analyzeCommonJsModule(ast, filePath);
+            moduleInfo.transformations.push(...defineTransformations);
+            return moduleInfo;
+        }
+
+        // Initialize module information
+        const dependencies = [];
+        const dynamicDependencies = [];
+        const dynamicExternals = [];
+        const imports = [];
+        const reExports = [];
+        const exports = { named: [], default: null };
+        const transformations = [...defineTransformations];
+        // Exports become getters on the exports object, so importers see live values
+        const exportBindings = [];
+        // Imported names, and the expressions that read them from the imported module
+        const importBindings = new Map();
+        // The variable each imported module's exports are bound to
+        const moduleBindings = new Map();
+
+        // Walk the AST to analyze imports and exports
+        walk.simple(ast, {
+            // Import declarations: import x from 'module'
+            ImportDeclaration: (node) => {
+                this.processImport(node, content, filePath, dependencies, imports, transformations, importBindings, moduleBindings);
+            },
+
+            // Named exports: export const x = 1 or export { x }
+            ExportNamedDeclaration: (node) => {
+                this.processNamedExport(
+                    node, content, filePath, dependencies, exports, reExports,
+                    transformations, exportBindings
+                );
+            },
+
+            // Default exports: export default x
+            ExportDefaultDeclaration: (node) => {
+                this.processDefaultExport(
+                    node, content, filePath, exports, transformations, exportBindings
+                );
+            },
+
+            // Star re-exports: export * from 'module' or export * as ns from 'module'
+            ExportAllDeclaration: (node) => {
+                this.processExportAll(
+                    node, filePath, dependencies, exports, reExports, transformations, exportBindings
+                );
+            },
+
+            // Dynamic imports: import('./module') becomes a split point
+            ImportExpression: (node) => {
+                this.processDynamicImport(node, filePath, dynamicDependencies, transformations, dynamicExternals);
+            },
+
+            // The hot module replacement API: import.meta.hot
+            MemberExpression: (node) => {
+                this.processHotReference(node, transformations);
+            }
+        });
+
+        // Imported names are read from the imported module wherever they are used
+        if (importBindings.size > 0) {
+            for (const { node, name, shorthand } of analyzeScope(ast).references) {
+                if (!importBindings.has(name)) continue;
+                transformations.push({
+                    start: node.start,
+                    end: node.end,
+                    replacement: shorthand ? `${name}: ${importBindings.get(name)}` : importBindings.get(name)
+                });
+            }
+        }
+
+        // Names from export * are only known once the modules they come from are
+        // read; until then (while the graph is being built) there are none
+        for (const [name, origin] of this.resolveModuleExports(filePath, exports, reExports)) {
+            if (origin.via && this.isExportUsed(filePath, name)) {
+                const target = this.modules.get(origin.via);
+                const importSource = this.getImportSource(this.getModuleId(origin.via), Boolean(target && target.isCommonJS));
+                exportBindings.push({ name, value: this.generatePropertyAccess(importSource, name) });
+            }
+        }
+
+        // Getters go first: function declarations are hoisted, and a module
+        // in a cycle can be imported before the rest of it has run
+        if (exportBindings.length > 0) {
+            const getters = exportBindings.map(({ name, local, value }) =>
+                `${JSON.stringify(name)}: function() { return ${value || importBindings.get(local) || local}; }`
+            );
+            transformations.push({
+                start: 0,
+                end: 0,
+                replacement: `require.defineExports(exports, { ${getters.join(', ')} });\n`
+            });
+        }
+
+        return {
+            dependencies,
+            dynamicDependencies,
+            externals: this.collectExternals(filePath, dependencies, dynamicExternals),
+            imports,
+            reExports,
+            exports,
+            transformations,
+            isCommonJS: false,
+            hasTopLevelAwait: this.hasTopLevelAwait(ast)
+        };
+    }
+
+    /**
+     * Analyze a CommonJS module: static require('...') calls become
+     * dependencies, and exports.x assignments are its named exports
+     * (the same heuristic Node uses when ES modules import CommonJS)
+     */
+    analyzeCommonJsModule(ast, filePath) {
+        const dependencies = [];
+        const dynamicDependencies = [];
+        const dynamicExternals = [];
+        const exports = { named: [], default: null };
+        const transformations = [];
+
+        walk.simple(ast, {
+            CallExpression: (node) => {
+                const specifier = this.getRequireSpecifier(node);
+                if (specifier === null) return;
+
+                dependencies.push(specifier);
+                if (!this.isResolvable(filePath, specifier)) return;
+
+                try {
+                    // The runtime knows modules by ID, so only the specifier is rewritten
+                    const absolutePath = this.resolveDependencyPath(filePath, specifier);
+                    transformations.push({
+                        start: node.arguments[0].start,
+                        end: node.arguments[0].end,
+                        replacement: `"${this.getModuleId(absolutePath)}"`
+                    });
+                } catch (err) {
+                    this.diagnostics.warn(`Error processing require '${specifier}': ${err.message}`, { filePath });
+                }
+            },
+
+            ImportExpression: (node) => {
+                this.processDynamicImport(node, filePath, dynamicDependencies, transformations, dynamicExternals);
+            },
+
+            AssignmentExpression: (node) => {
+                const name = this.getCommonJsExportName(node.left);
+                if (name && !exports.named.includes(name)) exports.named.push(name);
+            }
+        });
+
+        return {
+            dependencies,
+            dynamicDependencies,
+            externals: this.collectExternals(filePath, dependencies, dynamicExternals),
+            imports: [],
+            reExports: [],
+            exports,
+            transformations,
+            // The module assigns its exports itself
+            isCommonJS: true,
+            hasTopLevelAwait: false
+        };
+    }
+
+    /**
+     * The externals a module gets from the runtime: the ones it imports,
+     * re-exports or requires, and the ones its import() calls read from a global
+     */
+    collectExternals(filePath, dependencies, dynamicExternals) {
+        const externals = dependencies.filter(specifier => this.isRuntimeExternal(filePath, specifier));
+        return [...new Set([...externals, ...dynamicExternals])];
+    }
+
+    /**
+     * Get the specifier of a require('...') call, or null when it isn't static
+     */
+    getRequireSpecifier(node) {
+        if (node.callee.type !== 'Identifier' || node.callee.name !== 'require') return null;
+        if (node.arguments.length !== 1) return null;
+
+        const argument = node.arguments[0];
+        if (argument.type === 'Literal' && typeof argument.value === 'string') {
+            return argument.value;
+        }
+        if (argument.type === 'TemplateLiteral' && argument.expressions.length === 0) {
+            return argument.quasis[0].value.cooked;
+        }
+        return null;
+    }
+
+    /**
+     * Get the export name assigned by exports.x = or module.exports.x =
+     */
+    getCommonJsExportName(node) {
+        if (node.type !== 'MemberExpression') return null;
+
+        const object = node.object;
+        const isExportsObject =
+            (object.type === 'Identifier' && object.name === 'exports') ||
+            (object.type === 'MemberExpression' && !object.computed &&
+             object.object.type === 'Identifier' && object.object.name === 'module' &&
+             object.property.name === 'exports');
+        if (!isExportsObject) return null;
+
+        const name = this.getStaticPropertyName(node);
+        return name === '__esModule' ? null : name;
+    }
+
+    /**
+     * Process import declarations and create transformations
+     */
+    processImport(node, content, filePath, dependencies, imports, transformations, importBindings, moduleBindings) {
+        // Skip invalid imports
+        if (!node.source || typeof node.source.value !== 'string') return;
+
+        const sourceValue = node.source.value;
+        dependencies.push(sourceValue);
+
+        // Externals, and packages that can't be found in node_modules, stay out of the bundle
+        if (!this.isResolvable(filePath, sourceValue)) {
+            this.processExternalImport(node, transformations, importBindings, moduleBindings);
+            return;
+        }
+
+        try {
+            // Resolve module path
+            const absolutePath = this.resolveDependencyPath(filePath, sourceValue);
+            const relativePath = this.getModuleId(absolutePath);
+            const originalText = content.substring(node.start, node.end);
+
+            // Build import info
+            const importInfo = {
+                named: [],
+                default: null,
+                path: sourceValue,
+                originalText,
+                resolvedPath: relativePath
+            };
+
+            // Process different import types; CommonJS targets go through interop
+            const target = this.modules.get(absolutePath);
+            const { replacement, importData } = this.buildImportReplacement(
+                node, relativePath, Boolean(target && target.isCommonJS), importBindings, moduleBindings,
+                this.isAsyncModule(absolutePath)
+            );
+            Object.assign(importInfo, importData);
+
+            imports.push(importInfo);
+
+            // Create transformation; imports of modules dropped by tree shaking go away
+            // (missing ones stay, to fail when they run)
+            transformations.push({
+                start: node.start,
+                end: node.end,
+                replacement: this.isModuleIncluded(absolutePath) || !this.modules.has(absolutePath) ? replacement : ''
+            });
+        } catch (err) {
+            this.diagnostics.warn(`Error processing import '${sourceValue}': ${err.message}`, { filePath });
+        }
+    }
+
+    /**
+     * Process dynamic imports with a static specifier, loading the
+     * module's chunk at runtime before requiring it
+     */
+    processDynamicImport(node, filePath, dynamicDependencies, transformations, externals = []) {
+        const source = node.source;
+        let sourceValue = null;
+
+        if (source.type === 'Literal' && typeof source.value === 'string') {
+            sourceValue = source.value;
+        } else if (source.type === 'TemplateLiteral' && source.expressions.length === 0) {
+            sourceValue = source.quasis[0].value.cooked;
+        }
+
+        // Computed specifiers are left to the browser's native import()
+        if (sourceValue === null) return;
+
+        // So are externals, unless they are read from a global
+        if (!this.isResolvable(filePath, sourceValue)) {
+            if (['iife', 'umd'].includes(this.config.format) && this.config.externals.has(sourceValue)) {
+                externals.push(sourceValue);
+                transformations.push({
+                    start: node.start,
+                    end: node.end,
+                    replacement: `Promise.resolve().then(function() { return require.interop(require("${sourceValue}")); })`
+                });
+            }
+            return;
+        }
+
+        try {
+            const absolutePath = this.resolveDependencyPath(filePath, sourceValue);
+            dynamicDependencies.push(sourceValue);
+
+            transformations.push({
+                start: node.start,
+                end: node.end,
+                replacement: `require.dynamic("${this.getModuleId(absolutePath)}")`
+            });
+        } catch (err) {
+            this.diagnostics.warn(`Error processing dynamic import '${sourceValue}': ${err.message}`, { filePath });
+        }
+    }
+
+    /**
+     * import.meta.hot is the module's hot replacement API (module.hot in the
+     * runtime), or undefined when hot module replacement is off
+     */
+    processHotReference(node, transformations) {
+        if (node.object.type !== 'MetaProperty' || node.object.meta.name !== 'import') return;
+        if (node.computed || node.property.name !== 'hot') return;
+
+        transformations.push({
+            start: node.start,
+            end: node.end,
+            replacement: this.config.hmr ? 'module.hot' : 'undefined'
+        });
+    }
+
+    /**
+     * Handle imports of externals: the runtime knows them by their specifier
+     * (see getChunkExternals), so they are imported like any other module
+     */
+    processExternalImport(node, transformations, importBindings, moduleBindings) {
+        const { replacement } = this.buildImportReplacement(
+            node, node.source.value, this.isExternalCommonJS(), importBindings, moduleBindings
+        );
+        transformations.push({ start: node.start, end: node.end, replacement });
+    }
+
+    /**
+     * Check if externals are CommonJS exports (or globals) to the modules
+     * importing them; in esm output they are module namespaces
+     */
+    isExternalCommonJS() {
+        return this.config.format !== 'esm';
+    }
+
+    /**
+     * Build replacement code for import statements: the module's exports
+     * object is bound to a variable (moduleBindings records which, by
+     * module ID), and importBindings records the expression each imported
+     * name is read through. Async modules are waited for first
+     */
+    buildImportReplacement(node, modulePath, isCommonJS = false, importBindings = new Map(), moduleBindings = new Map(), isAsync = false) {
+        const source = isAsync
+            ? `await require.async("${modulePath}")`
+            : this.getImportSource(modulePath, isCommonJS);
+        // Several imports from the same module share the binding; the index
+        // keeps IDs that only differ in punctuation (a-b.js, a_b.js) apart
+        const isBindingDeclared = moduleBindings.has(modulePath);
+        const bindingName = isBindingDeclared
+            ? moduleBindings.get(modulePath)
+            : `_require_${modulePath.replace(/[^a-zA-Z0-9_]/g, '_')}_${moduleBindings.size}`;
+        const namedImports = [];
+        let defaultImportName = null;
+        let namespaceImportName = null;
+        let replacement = '';
+
+        node.specifiers.forEach(specifier => {
+            if (specifier.type === 'ImportDefaultSpecifier') {
+                defaultImportName = specifier.local.name;
+                importBindings.set(specifier.local.name, `${bindingName}.default`);
+            } else if (specifier.type === 'ImportSpecifier') {
+                const importedName = this.getSpecifierName(specifier.imported);
+                namedImports.push({ importedName, localName: specifier.local.name });
+                importBindings.set(specifier.local.name, this.generatePropertyAccess(bindingName, importedName));
+            } else if (specifier.type === 'ImportNamespaceSpecifier') {
+                // The exports object itself is live already
+                namespaceImportName = specifier.local.name;
+                replacement += `const ${namespaceImportName} = ${source};\n`;
+            }
+        });
+
+        if (defaultImportName || namedImports.length > 0) {
+            if (!isBindingDeclared) {
+                moduleBindings.set(modulePath, bindingName);
+                replacement += `const ${bindingName} = ${source};\n`;
+            }
+        } else if (!namespaceImportName) {
+            // Side-effect only import: import './module'
+            replacement += `${isAsync ? 'await require.async' : 'require'}("${modulePath}");\n`;
+        }
+
+        // Create import data for module information
+        const importData = {
+            default: defaultImportName,
+            named: namedImports.map(i =>
+                i.importedName !== i.localName
+                    ? `${i.importedName} as ${i.localName}`
+                    : i.importedName
+            ),
+            namespace: namespaceImportName
+        };
+
+        return {
+            replacement: replacement.trim(),
+            importData
+        };
+    }
+
+    /**
+     * Generate the statement that runs an imported module where the import
+     * was, waiting for it when it is async
+     */
+    generateModuleRun(moduleId, filePath) {
+        return filePath && this.isAsyncModule(filePath)
+            ? `await require.async("${moduleId}");`
+            : `require("${moduleId}");`;
+    }
+
+    /**
+     * Get the name of an import or export specifier, an identifier or a
+     * string (export { x as "a-b" })
+     */
+    getSpecifierName(node) {
+        return node.type === 'Literal' ? node.value : node.name;
+    }
+
+    /**
+     * Check if a name can be written as an identifier (a.name rather than a["name"])
+     */
+    isIdentifierName(name) {
+        return /^[A-Za-z_$][\w$]*$/.test(name);
+    }
+
+    /**
+     * Generate the code that reads a property of an object, by name
+     */
+    generatePropertyAccess(object, name) {
+        return this.isIdentifierName(name) ? `${object}.${name}` : `${object}[${JSON.stringify(name)}]`;
+    }
+
+    /**
+     * Get the expression an import reads a module's exports from:
+     * CommonJS exports are wrapped so they look like an ES module namespace
+     */
+    getImportSource(moduleId, isCommonJS) {
+        return isCommonJS
+            ? `require.interop(require("${moduleId}"))`
+            : `require("${moduleId}")`;
+    }
+
+    /**
+     * Process named exports and create transformations
+     */
+    processNamedExport(
+        node, content, filePath, dependencies, exports, reExports,
+        transformations, exportBindings
+    ) {
+        if (node.declaration) {
+            // Handle export declarations: export const x = 1
+            this.processExportDeclaration(
+                node, filePath, exports, transformations, exportBindings
+            );
+        } else if (node.specifiers.length > 0) {
+            // Handle export specifiers: export { x, y }
+            this.processExportSpecifiers(
+                node, content, filePath, dependencies, exports, reExports,
+                transformations, exportBindings
+            );
+        }
+    }
+
+    /**
+     * Process export declarations (export const x = 1)
+     */
+    processExportDeclaration(node, filePath, exports, transformations, exportBindings) {
+        if (this.isDeclarationRemoved(node.declaration)) {
+            // Tree shaking: nothing uses this declaration, drop it entirely
+            transformations.push({
+                start: node.start,
+                end: node.end,
+                replacement: ''
+            });
+        } else {
+            // Remove 'export' keyword but keep declaration
+            transformations.push({
+                start: node.start,
+                end: node.start + 'export '.length,
+                replacement: ''
+            });
+        }
+
+        // Track exports based on declaration type
+        if (node.declaration.type === 'VariableDeclaration') {
+            // Handle: export const/let/var x = 1, y = 2
+            for (const decl of node.declaration.declarations) {
+                if (decl.id.type === 'Identifier') {
+                    const varName = decl.id.name;
+                    exports.named.push(varName);
+                    if (this.isExportUsed(filePath, varName)) {
+                        exportBindings.push({ name: varName, local: varName });
+                    }
+                }
+            }
+        } else if (['FunctionDeclaration', 'ClassDeclaration'].includes(node.declaration.type)) {
+            // Handle: export function x(){} or export class X{}
+            if (node.declaration.id) {
+                const name = node.declaration.id.name;
+                exports.named.push(name);
+                if (this.isExportUsed(filePath, name)) {
+                    exportBindings.push({ name, local: name });
+                }
+            }
+        }
+    }
+
+    /**
+     * Process export specifiers (export { x, y as z })
+     */
+    processExportSpecifiers(
+        node, content, filePath, dependencies, exports, reExports,
+        transformations, exportBindings
+    ) {
+        if (node.source) {
+            // Handle re-exports: export { x, y } from 'module'
+            this.processReExports(
+                node, filePath, dependencies, exports, reExports, transformations, exportBindings
+            );
+        } else {
+            // Handle local re-exports: export { x, y as z }
+            for (const specifier of node.specifiers) {
+                const exportedName = this.getSpecifierName(specifier.exported);
+                exports.named.push(exportedName);
+                if (this.isExportUsed(filePath, exportedName)) {
+                    exportBindings.push({ name: exportedName, local: specifier.local.name });
+                }
+            }
+
+            transformations.push({
+                start: node.start,
+                end: node.end,
+                replacement: ''
+            });
+        }
+    }
+
+    /**
+     * Process re-exports (export { x } from 'module')
+     */
+    processReExports(
+        node, filePath, dependencies, exports, reExports, transformations, exportBindings
+    ) {
+        const source = node.source.value;
+        dependencies.push(source);
+
+        try {
+            // Resolve module path; externals have no file, and run wherever they come from
+            const isExternal = !this.isResolvable(filePath, source);
+            const absolutePath = isExternal ? null : this.resolveDependencyPath(filePath, source);
+            const relativePath = isExternal ? source : this.getModuleId(absolutePath);
+            const reExport = { path: source, resolvedPath: relativePath, filePath: absolutePath, names: [] };
+            reExports.push(reExport);
+
+            // Re-exported names are read from the other module every time,
+            // which also works while that module is still being evaluated
+            const target = this.modules.get(absolutePath);
+            const importSource = this.getImportSource(relativePath, isExternal ? this.isExternalCommonJS() : Boolean(target && target.isCommonJS));
+            for (const specifier of node.specifiers) {
+                const exportedName = this.getSpecifierName(specifier.exported);
+                const localName = this.getSpecifierName(specifier.local);
+                exports.named.push(exportedName);
+                reExport.names.push({ exported: exportedName, local: localName });
+                if (this.isExportUsed(filePath, exportedName)) {
+                    exportBindings.push({ name: exportedName, value: this.generatePropertyAccess(importSource, localName) });
+                }
+            }
+
+            // The module still runs where the export statement was
+            transformations.push({
+                start: node.start,
+                end: node.end,
+                replacement: isExternal || this.isModuleIncluded(absolutePath) ? this.generateModuleRun(relativePath, absolutePath) : ''
+            });
+        } catch (err) {
+            this.diagnostics.warn(`Error processing re-export from '${source}'`, { filePath });
+        }
+    }
+
+    /**
+     * Process star re-exports: export * from 'module' re-exports every name
+     * of the module but default (see resolveModuleExports), export * as ns
+     * from 'module' its namespace object under one name
+     */
+    processExportAll(node, filePath, dependencies, exports, reExports, transformations, exportBindings) {
+        const source = node.source.value;
+        dependencies.push(source);
+
+        try {
+            const isExternal = !this.isResolvable(filePath, source);
+            const absolutePath = isExternal ? null : this.resolveDependencyPath(filePath, source);
+            const relativePath = isExternal ? source : this.getModuleId(absolutePath);
+            const isCommonJS = isExternal
+                ? this.isExternalCommonJS()
+                : Boolean(this.modules.has(absolutePath) && this.modules.get(absolutePath).isCommonJS);
+
+            if (node.exported) {
+                const exportedName = this.getSpecifierName(node.exported);
+                exports.named.push(exportedName);
+                reExports.push({
+                    path: source,
+                    resolvedPath: relativePath,
+                    filePath: absolutePath,
+                    names: [{ exported: exportedName, local: '*' }]
+                });
+
+                if (this.isExportUsed(filePath, exportedName)) {
+                    exportBindings.push({
+                        name: exportedName,
+                        value: this.getImportSource(relativePath, isCommonJS)
+                    });
+                }
+            } else {
+                reExports.push({ path: source, resolvedPath: relativePath, filePath: absolutePath, names: [], star: true });
+            }
+
+            // The module still runs where the export statement was. The names
+            // of an external are only known once it has run, so they are
+            // added to the exports then (the module's own names win)
+            let replacement = isExternal || this.isModuleIncluded(absolutePath) ? this.generateModuleRun(relativePath, absolutePath) : '';
+            if (isExternal && !node.exported) {
+                replacement = `(function(source) { Object.keys(source).forEach(function(name) { ` +
+                    `if (name !== "default" && !Object.prototype.hasOwnProperty.call(exports, name)) ` +
+                    `Object.defineProperty(exports, name, { enumerable: true, get: function() { return source[name]; } }); ` +
+                    `}); })(${this.getImportSource(relativePath, isCommonJS)});`;
+            }
+            transformations.push({
+                start: node.start,
+                end: node.end,
+                replacement
+            });
+        } catch (err) {
+            this.diagnostics.warn(`Error processing re-export from '${source}'`, { filePath });
+        }
+    }
+
+    /**
+     * Get the names a module exports, export * included, each mapped to the
+     * module and name it comes from
+     */
+    getModuleExports(filePath, seen = new Set()) {
+        const module = this.modules.get(filePath);
+        if (!module || seen.has(filePath)) return new Map();
+
+        return this.resolveModuleExports(filePath, module.exports, module.reExports || [], null, new Set([...seen, filePath]));
+    }
+
+    /**
+     * Work out a module's exports from its analysis, as a map from each name to
+     * { filePath, name } of the binding it stands for; names from export * also
+     * have `via`, the module they are re-exported from
+     * Like in ES modules, names the module exports itself win over export *, default
+     * is never star-exported, and names two star sources export with different
+     * bindings are ambiguous: they are left out and passed to onAmbiguous
+     */
+    resolveModuleExports(filePath, exports, reExports, onAmbiguous = null, seen = new Set([filePath])) {
+        const resolved = new Map();
+        for (const name of exports.named) {
+            resolved.set(name, { filePath, name });
+        }
+        if (exports.default !== null) {
+            resolved.set('default', { filePath, name: 'default' });
+        }
+
+        // Named re-exports stand for the binding they forward
+        for (const reExport of reExports) {
+            if (reExport.star || !reExport.filePath) continue;
+            for (const { exported, local } of reExport.names) {
+                const origin = local === '*' ? null : this.getModuleExports(reExport.filePath, seen).get(local);
+                resolved.set(exported, origin || { filePath: reExport.filePath, name: local });
+            }
+        }
+
+        const starExports = new Map();
+        const ambiguous = new Map();
+        for (const reExport of reExports.filter(reExport => reExport.star)) {
+            for (const [name, origin] of this.getModuleExports(reExport.filePath, seen)) {
+                if (name === 'default' || resolved.has(name)) continue;
+
+                const existing = starExports.get(name);
+                if (!existing) {
+                    starExports.set(name, { filePath: origin.filePath, name: origin.name, via: reExport.filePath });
+                } else if (existing.filePath !== origin.filePath || existing.name !== origin.name) {
+                    if (!ambiguous.has(name)) ambiguous.set(name, [existing.via]);
+                    ambiguous.get(name).push(reExport.filePath);
+                }
+            }
+        }
+
+        for (const [name, sources] of ambiguous) {
+            starExports.delete(name);
+            if (onAmbiguous) onAmbiguous(name, sources);
+        }
+        starExports.forEach((origin, name) => resolved.set(name, origin));
+
+        return resolved;
+    }
+
+    /**
+     * Process default exports and create transformations
+     * Only the export syntax around the declaration is replaced, so
+     * transformations inside it (imported names) still apply
+     */
+    processDefaultExport(node, content, filePath, exports, transformations, exportBindings) {
+        const declaration = node.declaration;
+        const isDeclaration = ['FunctionDeclaration', 'ClassDeclaration'].includes(declaration.type);
+        const removePrefix = (replacement) => transformations.push({
+            start: node.start,
+            end: declaration.start,
+            replacement
+        });
+
+        // Set default export placeholder
+        exports.default = '_default_export_';
+
+        // Tree shaking: keep an unused default export only for its side effects
+        if (!this.isExportUsed(filePath, 'default') &&
+            !(declaration.id && !this.isDeclarationRemoved(declaration))) {
+            exports.default = declaration.id ? declaration.id.name : exports.default;
+
+            if (isPureStatement(node, content)) {
+                transformations.push({ start: node.start, end: node.end, replacement: '' });
+            } else {
+                removePrefix('(');
+                transformations.push({ start: declaration.end, end: declaration.end, replacement: ')' });
+            }
+            return;
+        }
+
+        if (isDeclaration && declaration.id) {
+            // Handle: export default function x(){} or class X{}, a live binding to x
+            exports.default = declaration.id.name;
+            removePrefix('');
+            if (this.isExportUsed(filePath, 'default')) {
+                exportBindings.push({ name: 'default', local: declaration.id.name });
+            }
+        } else if (isDeclaration) {
+            // Anonymous function or class: give it a name to bind the export to,
+            // keeping function declarations hoisted
+            const isFunction = declaration.type === 'FunctionDeclaration';
+            const namePosition = isFunction
+                ? content.indexOf('(', declaration.start)
+                : declaration.start + 'class'.length;
+            removePrefix('');
+            transformations.push({
+                start: namePosition,
+                end: namePosition,
+                replacement: isFunction ? '_default_export_' : ' _default_export_'
+            });
+            exportBindings.push({ name: 'default', local: '_default_export_' });
+        } else {
+            // Handle: export default expression (evaluated once, like in ES modules)
+            if (declaration.type === 'Identifier') exports.default = declaration.name;
+            removePrefix('const _default_export_ = ');
+            exportBindings.push({ name: 'default', local: '_default_export_' });
+        }
+    }
+
+    /**
+     * Transform module content using pre-computed transformations
+     * Returns the code plus mappings ([generatedLine, generatedColumn,
+     * originalLine, originalColumn]) when source maps are enabled
+     */
+    async transformModuleContent(module, transformations = module.transformations) {
+        // The output only depends on the module's code and its transformations
+        const cacheKey = module.cacheKey && this.cache.key(module.cacheKey, transformations);
+        const cached = cacheKey && this.cache.get('output', cacheKey);
+        if (cached) return cached;
+        const sideEffects = this.pluginSideEffects;
+
+        // Apply pre-transform plugins
+        const source = await this.applyPlugins('preTransform', module.content, module);
+
+        const output = this.applyTransformations(source, transformations, module);
+
+        // Apply post-transform plugins
+        const transformedContent = await this.applyPlugins('postTransform', output.code, module);
+
+        const result = {
+            code: transformedContent,
+            mappings: output.mappings
+        };
+        if (cacheKey && this.pluginSideEffects === sideEffects) {
+            this.cache.set('output', cacheKey, result);
+        }
+        return result;
+    }
+
+    /**
+     * Splice transformations into a module's source front to back,
+     * tracking where each part of the output comes from
+     */
+    applyTransformations(source, moduleTransformations, module) {
+        const transformations = [...moduleTransformations].sort((a, b) => a.start - b.start || a.end - b.end);
+        const output = new MappedOutput(this.isMappingEnabled() ? source : null);
+        const mappingOffsets = this.isMappingEnabled()
+            ? this.getMappingOffsets(source, source === module.content)
+            : [];
+
+        let cursor = 0;
+        let offsetIndex = 0;
+        const copySource = (end) => {
+            // Emit a mapping at every token and line start in the copied range
+            while (offsetIndex < mappingOffsets.length && mappingOffsets[offsetIndex] < end) {
+                const offset = mappingOffsets[offsetIndex++];
+                if (offset < cursor) continue;
+                output.append(source.substring(cursor, offset));
+                output.map(offset);
+                cursor = offset;
+            }
+            output.append(source.substring(cursor, end));
+            cursor = end;
+        };
+
+        for (const { start, end, replacement } of transformations) {
+            // Code replaced as a whole takes whatever was inside it along
+            if (start < cursor) continue;
+            copySource(start);
+            output.map(start);
+            output.append(replacement);
+            cursor = end;
+        }
+        copySource(source.length);
+
+        return output;
+    }
+
+    /**
+     * Whether modules are transformed with mappings back to their source:
+     * for source maps, and for stats to measure each module's share of the output
+     */
+    isMappingEnabled() {
+        return Boolean(this.config.sourceMap || this.config.stats);
+    }
+
+    /**
+     * Offsets in a module's source worth mapping: every line start, plus
+     * every token start when the source still matches the parsed AST
+     */
+    getMappingOffsets(content, tokenize) {
+        const offsets = new Set([0]);
+        for (let i = content.indexOf('\n'); i !== -1; i = content.indexOf('\n', i + 1)) {
+            offsets.add(i + 1);
+        }
+
+        if (tokenize) {
+            try {
+                for (const token of acorn.tokenizer(content, { ecmaVersion: this.config.ecmaVersion, sourceType: 'module' })) {
+                    offsets.add(token.start);
+                }
+            } catch (err) {
+                // Fall back to line-level mappings
+            }
+        }
+
+        return [...offsets].sort((a, b) => a - b);
+    }
+
+    /**
+     * Work out which exports are used across the graph, which modules can be
+     * skipped entirely and which unused exported declarations can be dropped
+     */
+    shakeTree() {
+        this.treeShaking = null;
+
+        // Imported names nothing uses once the unused declarations are gone, by
+        // module. Without those imports more exports can go unused, so this
+        // repeats until no more are found
+        const unusedImports = new Map();
+        let changed = true;
+        while (changed) {
+            const { usedExports, includedModules } = this.markUsedExports(unusedImports);
+            const removedDeclarations = new Set();
+            this.treeShaking = { usedExports, includedModules, removedDeclarations };
+
+            changed = false;
+            for (const filePath of includedModules) {
+                const module = this.modules.get(filePath);
+                const removed = this.findRemovableDeclarations(module, usedExports.get(filePath));
+                removed.forEach(node => removedDeclarations.add(node));
+
+                if (!unusedImports.has(filePath)) unusedImports.set(filePath, new Set());
+                const names = unusedImports.get(filePath);
+                for (const name of this.findUnusedImports(module, usedExports.get(filePath), removed)) {
+                    if (names.has(name)) continue;
+                    names.add(name);
+                    changed = true;
+                }
+            }
+        }
+    }
+
+    /**
+     * Follow the imports and re-exports from the entries to find the exports
+     * that are used and the modules that are included, leaving out the
+     * imported names in unusedImports
+     */
+    markUsedExports(unusedImports) {
+        const usedExports = new Map([...this.modules.keys()].map(filePath => [filePath, new Set()]));
+        const includedModules = new Set();
+        const moduleIds = new Map([...this.modules.keys()].map(filePath => [this.getModuleId(filePath), filePath]));
+        const sideEffects = new Map();
+        const queue = [];
+
+        const hasSideEffects = (filePath) => {
+            if (!sideEffects.has(filePath)) sideEffects.set(filePath, this.hasSideEffects(filePath));
+            return sideEffects.get(filePath);
+        };
+        const enqueue = (filePath) => {
+            if (!queue.includes(filePath)) queue.push(filePath);
+        };
+        const include = (filePath) => {
+            if (includedModules.has(filePath)) return;
+            includedModules.add(filePath);
+            enqueue(filePath);
+        };
+        const markUsed = (filePath, name) => {
+            const names = usedExports.get(filePath);
+            if (!names || names.has(name)) return;
+            names.add(name);
+            include(filePath);
+            // Newly used names may be re-exports that need following
+            enqueue(filePath);
+        };
+
+        // Everything the entries export is considered used
+        this.entries.forEach(entry => markUsed(entry.filePath, '*'));
+
+        while (queue.length > 0) {
+            const filePath = queue.shift();
+            const module = this.modules.get(filePath);
+            const names = usedExports.get(filePath);
+
+            // Static dependencies run along with the module, so keep those with side effects
+            for (const dependency of module.dependencies) {
+                if (!dependency || !this.isResolvable(filePath, dependency)) continue;
+                const absolutePath = this.resolveDependencyPath(filePath, dependency);
+                if (this.modules.has(absolutePath) && hasSideEffects(absolutePath)) {
+                    include(absolutePath);
+                }
+            }
+
+            const unused = unusedImports.get(filePath) || new Set();
+            for (const importInfo of module.imports) {
+                const target = moduleIds.get(importInfo.resolvedPath);
+                if (!target) continue;
+
+                if (importInfo.namespace && !unused.has(importInfo.namespace)) markUsed(target, '*');
+                if (importInfo.default && !unused.has(importInfo.default)) markUsed(target, 'default');
+                for (const name of importInfo.named) {
+                    // Imported names can be strings with " as " in them, local ones can't
+                    const separator = name.lastIndexOf(' as ');
+                    const imported = separator === -1 ? name : name.slice(0, separator);
+                    const local = separator === -1 ? name : name.slice(separator + 4);
+                    if (!unused.has(local)) markUsed(target, imported);
+                }
+            }
+
+            for (const reExport of module.reExports) {
+                const target = moduleIds.get(reExport.resolvedPath);
+                if (!target) continue;
+
+                for (const { exported, local } of reExport.names) {
+                    if (names.has('*') || names.has(exported)) markUsed(target, local);
+                }
+
+                // export *: used names the target module provides
+                if (reExport.star) {
+                    const targetExports = this.getModuleExports(target);
+                    for (const name of names) {
+                        if (name === '*') {
+                            targetExports.forEach((origin, exported) => {
+                                if (exported !== 'default') markUsed(target, exported);
+                            });
+                        } else if (name !== 'default' && targetExports.has(name)) {
+                            markUsed(target, name);
+                        }
+                    }
+                }
+            }
+
+            // A dynamically imported module's namespace can be used in any way,
+            // and so can anything a CommonJS module requires
+            const namespaceDependencies = module.isCommonJS
+                ? [...module.dependencies, ...module.dynamicDependencies]
+                : module.dynamicDependencies;
+            for (const dependency of namespaceDependencies) {
+                if (!dependency || !this.isResolvable(filePath, dependency)) continue;
+                markUsed(this.resolveDependencyPath(filePath, dependency), '*');
+            }
+        }
+
+        return { usedExports, includedModules };
+    }
+
+    /**
+     * Check if a module's code can have side effects when it runs,
+     * honoring the "sideEffects" field of its package.json
+     */
+    hasSideEffects(filePath) {
+        const pkg = this.findPackageJson(path.dirname(filePath));
+        if (pkg && pkg.json.sideEffects === false) return false;
+        if (pkg && Array.isArray(pkg.json.sideEffects)) {
+            const relativePath = path.relative(pkg.dir, filePath).split(path.sep).join('/');
+            return matchesSideEffectsPattern(relativePath, pkg.json.sideEffects);
+        }
+
+        const module = this.modules.get(filePath);
+        // Extracted CSS applies to the page without any code running
+        if (module.styles !== undefined) return true;
+        return !module.ast.body.every(statement => isPureStatement(statement, module.content));
+    }
+
+    /**
+     * Find exported declarations that are unused, side-effect free and not
+     * referenced anywhere else in their module
+     */
+    findRemovableDeclarations(module, usedNames) {
+        // Direct eval can read any binding of the module
+        if (analyzeScope(module.ast).usesEval) return new Set();
+
+        const isUsed = (name) => usedNames.has('*') || usedNames.has(name);
+        const references = collectReferences(module.ast);
+        const candidates = [];
+
+        for (const statement of module.ast.body) {
+            if (statement.type === 'ExportNamedDeclaration' && statement.declaration) {
+                const names = getDeclaredNames(statement.declaration);
+                if (!names.some(isUsed) && isPureDeclaration(statement.declaration, module.content)) {
+                    candidates.push({ declaration: statement.declaration, names });
+                }
+            } else if (statement.type === 'ExportNamedDeclaration' && !statement.source) {
+                // export { x as y } keeps x alive only while y is used
+                for (const specifier of statement.specifiers) {
+                    if (isUsed(this.getSpecifierName(specifier.exported))) {
+                        references.push({ name: specifier.local.name, start: specifier.start });
+                    }
+                }
+            } else if (statement.type === 'ExportDefaultDeclaration' && statement.declaration.id &&
+                       !isUsed('default') && isPureDeclaration(statement.declaration, module.content)) {
+                candidates.push({ declaration: statement.declaration, names: [statement.declaration.id.name] });
+            }
+        }
+
+        // Dropping one declaration can leave another one unreferenced
+        const removed = new Set();
+        const isInside = (offset, node) => offset >= node.start && offset < node.end;
+        let changed = true;
+        while (changed) {
+            changed = false;
+            for (const { declaration, names } of candidates) {
+                if (removed.has(declaration)) continue;
+
+                const isReferenced = references.some(reference =>
+                    names.includes(reference.name) &&
+                    !isInside(reference.start, declaration) &&
+                    ![...removed].some(node => isInside(reference.start, node))
+                );
+                if (!isReferenced) {
+                    removed.add(declaration);
+                    changed = true;
+                }
+            }
+        }
+
+        return removed;
+    }
+
+    /**
+     * Find the names a module imports that are only referenced from the
+     * declarations of it tree shaking drops, or not at all
+     */
+    findUnusedImports(module, usedNames, removedDeclarations) {
+        if (module.isCommonJS || analyzeScope(module.ast).usesEval) return [];
+
+        const isUsed = (name) => usedNames.has('*') || usedNames.has(name);
+        const isRemoved = (offset) => [...removedDeclarations].some(node => offset >= node.start && offset < node.end);
+        const references = collectReferences(module.ast).filter(reference => !isRemoved(reference.start));
+
+        // export { x as y } refers to x while y is used
+        for (const statement of module.ast.body) {
+            if (statement.type !== 'ExportNamedDeclaration' || statement.source) continue;
+            for (const specifier of statement.specifiers) {
+                if (isUsed(this.getSpecifierName(specifier.exported))) references.push({ name: specifier.local.name });
+            }
+        }
+
+        const importedNames = module.ast.body
+            .filter(statement => statement.type === 'ImportDeclaration')
+            .flatMap(statement => statement.specifiers.map(specifier => specifier.local.name));
+        return importedNames.filter(name => !references.some(reference => reference.name === name));
+    }
+
+    /**
+     * Check if an export is used, always true without tree shaking
+     */
+    isExportUsed(filePath, name) {
+        if (!this.treeShaking) return true;
+        const names = this.treeShaking.usedExports.get(filePath);
+        return !names || names.has('*') || names.has(name);
+    }
+
+    /**
+     * Check if a module made it into the bundle, always true without tree shaking
+     */
+    isModuleIncluded(filePath) {
+        return !this.treeShaking ||
+               !this.modules.has(filePath) ||
+               this.treeShaking.includedModules.has(filePath);
+    }
+
+    /**
+     * Check if tree shaking dropped a declaration
+     */
+    isDeclarationRemoved(node) {
+        return this.treeShaking !== null && this.treeShaking.removedDeclarations.has(node);
+    }
+
+    /**
+     * Split the graph into chunks: each entry chunk holds what only its entry
+     * needs, modules several entries need move to a chunk those pages share,
+     * each dynamic import starts a lazily loaded chunk, and modules needed by
+     * several of those move to a shared chunk
+     */
+    buildChunks(outputFile) {
+        // Sorted by ID so the output doesn't depend on the order modules were read in
+        const includedFiles = [...this.modules.keys()]
+            .filter(filePath => this.isModuleIncluded(filePath))
+            .sort((a, b) => this.getModuleId(a) < this.getModuleId(b) ? -1 : 1);
+        const chunkSuffix = path.basename(outputFile).includes('[contenthash]')
+            ? '.[contenthash].chunk.js'
+            : '.chunk.js';
+        const staticModules = new Map(
+            this.entries.map(entry => [entry.filePath, this.collectStaticModules(entry.filePath)])
+        );
+        // Everything a page may load, right away or through import()
+        const pageModules = new Map(
+            this.entries.map(entry => [entry.filePath, this.collectStaticModules(entry.filePath, true)])
+        );
+
+        const chunks = this.entries.map(entry => ({
+            name: entry.name,
+            fileName: path.basename(outputFile).replace(/\[name\]/g, entry.name),
+            modules: [],
+            splitPoints: [],
+            entryFile: entry.filePath,
+            isEntry: true
+        }));
+        const usedNames = new Set(this.entries.map(entry => entry.name));
+        const addChunk = (baseName, properties) => {
+            let name = baseName;
+            for (let i = 2; usedNames.has(name); i++) {
+                name = `${baseName}-${i}`;
+            }
+            usedNames.add(name);
+            chunks.push({ name, fileName: name + chunkSuffix, splitPoints: [], entries: [], isEntry: false, ...properties });
+        };
+
+        // Modules loaded at startup stay with their entry when no other page needs them,
+        // otherwise they go to a chunk shared by the pages that load them right away
+        const sharedGroups = new Map();
+        const entryChunkModules = new Set();
+        for (const filePath of includedFiles) {
+            const staticEntries = this.entries.filter(entry => staticModules.get(entry.filePath).has(filePath));
+            if (staticEntries.length === 0) continue;
+            entryChunkModules.add(filePath);
+
+            const pages = this.entries.filter(entry => pageModules.get(entry.filePath).has(filePath));
+            if (staticEntries.length === 1 && pages.length === 1) {
+                chunks[this.entries.indexOf(staticEntries[0])].modules.push(filePath);
+                continue;
+            }
+
+            const key = staticEntries.map(entry => entry.name).join('|');
+            if (!sharedGroups.has(key)) sharedGroups.set(key, { entries: staticEntries, modules: [] });
+            sharedGroups.get(key).modules.push(filePath);
+        }
+        for (const { entries, modules } of sharedGroups.values()) {
+            addChunk('shared-' + entries.map(entry => entry.name).join('-'), {
+                modules,
+                entries: entries.map(entry => entry.filePath)
+            });
+        }
+
+        // Every dynamically imported module not loaded at startup is a split point
+        const splitPoints = [];
+        for (const filePath of includedFiles) {
+            const module = this.modules.get(filePath);
+            for (const dependency of module.dynamicDependencies) {
+                const absolutePath = this.resolveDependencyPath(filePath, dependency);
+                if (!entryChunkModules.has(absolutePath) && !splitPoints.includes(absolutePath)) {
+                    splitPoints.push(absolutePath);
+                }
+            }
+        }
+        const reachableModules = new Map(
+            splitPoints.map(splitPoint => [splitPoint, this.collectStaticModules(splitPoint)])
+        );
+
+        // Group modules by the set of split points that need them, so none is duplicated
+        const groups = new Map();
+        for (const filePath of includedFiles) {
+            if (entryChunkModules.has(filePath)) continue;
+
+            const owners = splitPoints.filter(splitPoint => reachableModules.get(splitPoint).has(filePath));
+            const key = owners.join('|');
+            if (!groups.has(key)) groups.set(key, { owners, modules: [] });
+            groups.get(key).modules.push(filePath);
+        }
+
+        const getName = (filePath) => path.basename(filePath, path.extname(filePath));
+        for (const { owners, modules } of groups.values()) {
+            const baseName = owners.length === 1
+                ? getName(owners[0])
+                : 'shared-' + owners.map(getName).join('-');
+            addChunk(baseName, { modules, splitPoints: owners });
+        }
+
+        return chunks;
+    }
+
+    /**
+     * Get the chunks a page loads right away: its entry chunk and the chunks
+     * it shares with other entries (those must be loaded before the entry chunk)
+     */
+    getInitialChunks(entryChunk, chunks) {
+        return chunks.filter(chunk =>
+            chunk === entryChunk || (chunk.entries || []).includes(entryChunk.entryFile)
+        );
+    }
+
+    /**
+     * Collect a module and everything it statically imports,
+     * or everything it can ever load when includeDynamic is set
+     */
+    collectStaticModules(rootPath, includeDynamic = false) {
+        const collected = new Set();
+
+        const visit = (filePath) => {
+            if (collected.has(filePath) || !this.modules.has(filePath)) return;
+            collected.add(filePath);
+
+            const module = this.modules.get(filePath);
+            const dependencies = includeDynamic
+                ? [...module.dependencies, ...module.dynamicDependencies]
+                : module.dependencies;
+            for (const dependency of dependencies) {
+                if (!dependency || !this.isResolvable(filePath, dependency)) continue;
+                try {
+                    visit(this.resolveDependencyPath(filePath, dependency));
+                } catch (err) {
+                    // Unresolvable dependencies were already reported while building the graph
+                }
+            }
+        };
+
+        visit(rootPath);
+        return collected;
+    }
+
+    /**
+     * Generate the final bundle with all modules
+     * Returns the entry chunk followed by any lazily loaded chunks,
+     * each with its code and, when enabled, its source map
+     */
+    async generateBundle(outputFile = this.config.output) {
+        // Cycles work (exports are live), but modules in them can see each other half-initialized
+        for (const cycle of this.findCircularDependencies()) {
+            this.diagnostics.warn(
+                `Circular dependency: ${cycle.map(filePath => this.getModuleId(filePath)).join(' -> ')}`,
+                { filePath: cycle[0] }
+            );
+        }
+
+        // Names export * can't decide on are left out of the module's exports
+        for (const [filePath, module] of this.modules) {
+            if (!(module.reExports || []).some(reExport => reExport.star)) continue;
+            this.resolveModuleExports(filePath, module.exports, module.reExports, (name, sources) => {
+                this.diagnostics.warn(
+                    `'${name}' is exported by both ${sources.map(source => this.getModuleId(source)).join(' and ')} ` +
+                    `through export * in ${this.getModuleId(filePath)}; it is left out`,
+                    { filePath }
+                );
+            });
+        }
+
+        this.validateImports();
+        this.reportDiagnostics();
+
+        if (this.config.treeShaking) {
+            this.shakeTree();
+        }
+        this.asyncModules = this.findAsyncModules();
+
+        // Re-analyze every module now that the whole graph is known: transformations
+        // only emit what is used and imports know which modules are CommonJS
+        for (const module of this.modules.values()) {
+            Object.assign(module, this.analyzeModule(module.ast, module.content, module.filePath));
+        }
+
+        const chunks = this.buildChunks(outputFile);
+
+        // Plan which modules of each entry chunk get concatenated into one scope
+        const hoistingPlans = new Map(this.config.scopeHoist
+            ? chunks.filter(chunk => chunk.isEntry).map(chunk => [chunk, this.planScopeHoisting(chunk)])
+            : []);
+        const getHoistingPlan = (filePath) => [...hoistingPlans.values()].find(plan => plan.hoisted.has(filePath));
+
+        // Transform all modules once, whichever chunk they end up in
+        const transformedModules = new Map();
+        const includedModules = Array.from(this.modules.values())
+            .filter(module => this.isModuleIncluded(module.filePath));
+        await Promise.all(
+            includedModules.map(async (module) => {
+                this.config.logger.log('Adding module:', this.getModuleId(module.filePath));
+                const plan = getHoistingPlan(module.filePath);
+                const transformed = plan
+                    ? await this.transformHoistedModule(module, plan)
+                    : await this.transformModuleContent(module);
+                transformedModules.set(module.filePath, transformed);
+                module.transformedSize = Buffer.byteLength(transformed.code);
+            })
+        );
+
+        // What hot updates are made from: each module's code, and what a page
+        // can't be updated for (its chunks, extracted styles, externals and HTML entries)
+        if (this.config.hmr) {
+            this.hotBuild = {
+                modules: new Map([...transformedModules].map(([filePath, { code }]) => [this.getModuleId(filePath), code])),
+                asyncModules: [...this.asyncModules].map(filePath => this.getModuleId(filePath)),
+                layout: JSON.stringify([
+                    chunks.map(chunk => [chunk.fileName, this.collectChunkStyles(chunk)]),
+                    chunks.filter(chunk => chunk.isEntry).map(chunk => this.getChunkExternals(chunk)),
+                    // The runtime only handles async modules, and only has the public
+                    // path for assets, when it was built with some
+                    this.asyncModules.size > 0,
+                    this.hasAssetModules(),
+                    this.config.htmlEntries.map(page => this.fs.readFileSync(page.filePath, 'utf-8'))
+                ])
+            };
+        }
+
+        return chunks.map(chunk => ({
+            name: chunk.name,
+            isEntry: chunk.isEntry,
+            modules: chunk.modules.map(filePath => this.getModuleId(filePath)),
+            // Chunks an entry's page has to load first, by name
+            imports: chunk.isEntry
+                ? this.getInitialChunks(chunk, chunks).filter(other => other !== chunk).map(other => other.name)
+                : [],
+            styles: this.collectChunkStyles(chunk),
+            ...(hoistingPlans.has(chunk)
+                ? this.generateHoistedChunk(chunk, chunks, transformedModules, hoistingPlans.get(chunk), outputFile)
+                : this.generateChunk(chunk, chunks, transformedModules, outputFile))
+        }));
+    }
+
+    /**
+     * Check every import against the graph: imported files have to exist, and
+     * imported names have to be exported (by ES modules; CommonJS exports
+     * are only known at runtime), and packages that can't be found have to be
+     * externals. Problems are errors in strict mode
+     */
+    validateImports() {
+        const report = (message, module, node) => {
+            this.diagnostics[this.config.strict ? 'error' : 'warn'](message, {
+                filePath: module.filePath,
+                source: module.content,
+                offset: node.start
+            });
+        };
+
+        for (const module of this.modules.values()) {
+            const checkSource = (sourceNode) => {
+                const specifier = sourceNode.type === 'TemplateLiteral'
+                    ? sourceNode.expressions.length === 0 && sourceNode.quasis[0].value.cooked
+                    : sourceNode.value;
+                if (typeof specifier !== 'string' || !this.isResolvable(module.filePath, specifier)) return null;
+
+                if (this.isMissingDependency(module.filePath, specifier)) {
+                    const tried = this.getResolutionCandidates(module.filePath, specifier).map(candidate => this.getModuleId(candidate));
+                    report(`Could not resolve '${specifier}' from ${this.getModuleId(module.filePath)}, tried:\n    ${tried.join('\n    ')}`, module, sourceNode);
+                    return null;
+                }
+                const target = this.resolveDependencyPath(module.filePath, specifier);
+                return this.modules.has(target) && this.hasStaticExports(target) ? target : null;
+            };
+            const checkName = (target, name, node) => {
+                if (!this.getModuleExports(target).has(name)) {
+                    report(`'${name}' is not exported by ${this.getModuleId(target)}`, module, node);
+                }
+            };
+            // Imports that aren't bundled need the runtime to provide them
+            const checkExternal = (sourceNode) => {
+                const specifier = sourceNode.value;
+                if (this.isResolvable(module.filePath, specifier) || this.isRuntimeExternal(module.filePath, specifier)) return;
+
+                const resolution = this.getPluginResolution(module.filePath, specifier);
+                if (resolution && resolution.external) {
+                    this.diagnostics.warn(
+                        `'${specifier}' is external, but ${this.config.format} bundles can only get externals from globals; ` +
+                        'list it in externals with its global',
+                        { filePath: module.filePath, source: module.content, offset: sourceNode.start }
+                    );
+                    return;
+                }
+                report(`Could not find package '${specifier}', it is left out of the bundle; ` +
+                    'list it in externals if that is intended', module, sourceNode);
+            };
+
+            walk.simple(module.ast, {
+                ImportDeclaration: (node) => {
+                    checkExternal(node.source);
+                    const target = checkSource(node.source);
+                    if (!target) return;
+                    for (const specifier of node.specifiers) {
+                        if (specifier.type === 'ImportDefaultSpecifier') checkName(target, 'default', specifier);
+                        if (specifier.type === 'ImportSpecifier') checkName(target, this.getSpecifierName(specifier.imported), specifier.imported);
+                    }
+                },
+                ExportNamedDeclaration: (node) => {
+                    if (!node.source) return;
+                    checkExternal(node.source);
+                    const target = checkSource(node.source);
+                    if (!target) return;
+                    node.specifiers.forEach(specifier => checkName(target, this.getSpecifierName(specifier.local), specifier.local));
+                },
+                ExportAllDeclaration: (node) => {
+                    checkExternal(node.source);
+                    checkSource(node.source);
+                },
+                ImportExpression: (node) => checkSource(node.source),
+                CallExpression: (node) => {
+                    if (module.isCommonJS && this.getRequireSpecifier(node) !== null) checkSource(node.arguments[0]);
+                }
+            });
+        }
     }
 
     /**
-     * Apply plugins at different bundle phases
-     * Allows for code transformation, optimization, or analysis
+     * Check if all of a module's export names are known at build time:
+     * it is an ES module, and so is everything it star-exports
      */
-    async applyPlugins(phase, content, moduleInfo = {}) {
-        let result = content;
-        for (const plugin of this.plugins) {
-            if (plugin[phase]) {
-                result = await plugin[phase](result, moduleInfo);
-            }
-        }
-        return result;
+    hasStaticExports(filePath, seen = new Set()) {
+        const module = this.modules.get(filePath);
+        if (!module || module.isCommonJS) return false;
+        if (seen.has(filePath)) return true;
+        seen.add(filePath);
+
+        return module.reExports
+            .filter(reExport => reExport.star)
+            .every(reExport => this.hasStaticExports(reExport.filePath, seen));
     }
 
     /**
-     * Main entry point to bundle the project
+     * Print the warnings of the build and fail it if there were errors
      */
-    async bundle(outputFile) {
-        // 1. Build the dependency graph starting from the entry file
-        this.buildDependencyGraph(this.entryFile);
-
-        // 2. Generate the bundle with all modules
-        const bundleContent = await this.generateBundle();
-
-        // 3. Apply bundle-level plugins (e.g., minification)
-        const finalContent = await this.applyPlugins('bundle', bundleContent);
-
-        // 4. Write to output file if specified
-        if (outputFile) {
-            fs.writeFileSync(outputFile, finalContent);
+    reportDiagnostics() {
+        const color = Boolean(process.stderr.isTTY);
+        for (const warning of this.diagnostics.warnings) {
+            this.warnings.push(warning);
+            this.config.logger.warn(formatDiagnostic(warning, { color, cwd: this.config.cwd }) + '\n');
         }
 
-        return finalContent;
+        const errors = this.diagnostics.errors;
+        this.diagnostics.clear();
+        if (errors.length > 0) {
+            throw new BuildError(errors, { cwd: this.config.cwd });
+        }
     }
 
     /**
-     * Build a dependency graph by recursively following imports
+     * Find cycles of static imports, following them depth first from the entries
+     * Each cycle is a list of files that starts and ends with the same file
      */
-    buildDependencyGraph(filePath) {
-        // Skip if module already processed
-        if (this.modules.has(filePath)) return;
+    findCircularDependencies() {
+        const cycles = new Map();
+        const visited = new Set();
+        const stack = [];
 
-        try {
-            // Parse and analyze the module
-            const module = this.readModule(filePath);
-            this.modules.set(filePath, module);
+        const visit = (filePath) => {
+            visited.add(filePath);
+            stack.push(filePath);
 
-            // Process each dependency recursively
+            const module = this.modules.get(filePath);
             for (const dependency of module.dependencies) {
-                // Skip empty dependencies or non-local modules
-                if (!dependency || !this.isLocalModule(dependency)) continue;
+                if (!dependency || !this.isResolvable(filePath, dependency)) continue;
 
+                let target;
                 try {
-                    // Resolve the absolute path to this dependency
-                    const absolutePath = this.resolveDependencyPath(filePath, dependency);
-
-                    // Process this dependency if not already processed
-                    if (!this.modules.has(absolutePath)) {
-                        this.buildDependencyGraph(absolutePath);
-                    }
+                    target = this.resolveDependencyPath(filePath, dependency);
                 } catch (err) {
-                    console.warn(`Warning: Could not resolve dependency '${dependency}' from ${filePath}`);
+                    continue;
+                }
+                if (!this.modules.has(target)) continue;
+
+                if (stack.includes(target)) {
+                    const cycle = [...stack.slice(stack.indexOf(target)), target];
+                    cycles.set(cycle.join('\0'), cycle);
+                } else if (!visited.has(target)) {
+                    visit(target);
                 }
             }
-        } catch (err) {
-            console.error(`Error processing module ${filePath}: ${err.message}`);
-            throw err;
+
+            stack.pop();
+        };
+
+        for (const entry of this.entries) {
+            if (!visited.has(entry.filePath)) visit(entry.filePath);
         }
+        return [...cycles.values()];
     }
 
     /**
-     * Check if a module is a local file (not a built-in or node_module)
+     * Concatenate the CSS extracted from a chunk's modules, in import order
+     * (imports before the modules after them), or null when there is none
      */
-    isLocalModule(modulePath) {
-        return modulePath.startsWith('./') ||
-               modulePath.startsWith('../') ||
-               modulePath.startsWith('/');
+    collectChunkStyles(chunk) {
+        const importOrder = new Set();
+        for (const entry of this.entries) {
+            this.collectStaticModules(entry.filePath, true).forEach(filePath => importOrder.add(filePath));
+        }
+
+        const styles = [...importOrder]
+            .filter(filePath => chunk.modules.includes(filePath) && this.modules.get(filePath).styles !== undefined)
+            .map(filePath => `/* ${this.getModuleId(filePath)} */\n${this.modules.get(filePath).styles.trim()}\n`);
+
+        return styles.length > 0 ? styles.join('\n') : null;
     }
 
     /**
-     * Resolve a dependency path relative to the importing file
+     * Get an expression for the URL prefix chunks and assets are loaded from:
+     * next to the bundle unless a publicPath is configured
+     * (module scripts have no currentScript, they know their own URL instead)
      */
-    resolveDependencyPath(importerPath, dependencyPath) {
-        return path.resolve(
-            path.dirname(importerPath),
-            dependencyPath.endsWith('.js') ? dependencyPath : dependencyPath + '.js'
-        );
+    getPublicPathExpression() {
+        if (this.config.publicPath !== undefined) return JSON.stringify(this.config.publicPath);
+
+        return this.config.format === 'esm'
+            ? 'import.meta.url.replace(/[^\\/]*$/, "")'
+            : '(typeof document !== "undefined" && document.currentScript && document.currentScript.src || "").replace(/[^\\/]*$/, "")';
     }
 
     /**
-     * Read and parse a module file, extracting its AST and metadata
+     * Generate the code of a single chunk: the entry chunk carries the runtime,
+     * other chunks register their modules with it when loaded
      */
-    readModule(filePath) {
-        const content = fs.readFileSync(filePath, 'utf-8');
+    generateChunk(chunk, chunks, transformedModules, outputFile) {
+        const externals = chunk.isEntry ? this.getChunkExternals(chunk) : [];
+        let bundle = chunk.isEntry
+            ? this.generateFormatIntro(chunk, externals) + this.generateBundleRuntime(this.needsPublicPath(chunk, chunks)) + '  var modules = {\n'
+            : this.config.format === 'cjs'
+                ? 'module.exports = {\n'
+                : '(self.simpleBundlerChunks = self.simpleBundlerChunks || []).push({\n';
 
-        // Parse file content into an AST
-        const ast = acorn.parse(content, {
-            ecmaVersion: 2020,
-            sourceType: 'module',
-            locations: true
-        });
+        // Sources are listed relative to the directory the map is written to
+        const sourceMap = this.isMappingEnabled()
+            ? new SourceMapBuilder(chunk.fileName)
+            : null;
+
+        // Add the chunk's modules
+        for (const filePath of chunk.modules) {
+            const module = this.modules.get(filePath);
+            const { code: content, mappings } = transformedModules.get(filePath);
+
+            bundle += this.generateModuleHeader(this.getModuleId(filePath), this.isAsyncModule(filePath));
+
+            // The first line of the module is indented inside the wrapper
+            if (sourceMap) {
+                this.addModuleMappings(sourceMap, module, mappings, bundle, 6, outputFile);
+            }
+
+            bundle += `      ${content}\n`;
+            bundle += '    },\n';
+        }
+
+        if (chunk.isEntry) {
+            bundle += this.generateExternalModules(externals);
+            bundle += '  };\n\n';
+
+            // A hot update may bring in the first CommonJS module
+            if (this.config.hmr || this.hasCommonJsModules() || (externals.length > 0 && this.isExternalCommonJS())) {
+                bundle += this.generateInteropRuntime();
+            }
+
+            // Add the chunk loader when other chunks are involved
+            if (this.needsChunkRuntime(chunk, chunks)) {
+                bundle += this.generateChunkRuntime(chunk, chunks);
+            }
+
+            if (this.config.hmr) {
+                bundle += this.generateHotRuntime();
+            }
 
-        // Analyze the AST to extract dependencies and prepare transformations
-        const moduleInfo = this.analyzeModule(ast, content, filePath);
+            // Start execution from the entry point and hand its exports to the format wrapper
+            bundle += this.generateEntryReturn(chunk);
+            bundle += '})();\n' + this.generateFormatOutro(chunk);
+        } else {
+            bundle += this.config.format === 'cjs' ? '};\n' : '});\n';
+        }
 
         return {
-            id: this.moduleId++,
-            filePath,
-            content,
-            ast,
-            ...moduleInfo
+            fileName: chunk.fileName,
+            code: bundle,
+            map: sourceMap ? sourceMap.toJSON() : null
         };
     }
 
     /**
-     * Analyze a module's AST to extract imports, exports, and prepare for transformation
+     * Add a module's mappings to a chunk's source map; the module's code
+     * starts at the end of `bundle`, its first line indented by firstLineColumn
      */
-    analyzeModule(ast, content, filePath) {
-        // Initialize module information
-        const dependencies = [];
-        const imports = [];
-        const exports = { named: [], default: null };
-        const transformations = [];
-        const additionalExports = [];
-        const processedExports = new Set();
+    addModuleMappings(sourceMap, module, mappings, bundle, firstLineColumn, outputFile) {
+        const lineOffset = bundle.split('\n').length - 1;
+        const sources = this.getMapSources(module, outputFile);
 
-        // Walk the AST to analyze imports and exports
-        walk.simple(ast, {
-            // Import declarations: import x from 'module'
-            ImportDeclaration: (node) => {
-                this.processImport(node, content, filePath, dependencies, imports, transformations);
-            },
-
-            // Named exports: export const x = 1 or export { x }
-            ExportNamedDeclaration: (node) => {
-                this.processNamedExport(
-                    node, content, filePath, dependencies, exports,
-                    transformations, additionalExports, processedExports
-                );
-            },
+        // Code transformed by plugins is mapped on to the sources their maps point at
+        if (module.map) {
+            const moduleMap = module.map;
+            const lines = decodeMappings(moduleMap.mappings);
+            const sourceIndexes = sources.map((source, index) => sourceMap.addSource(
+                source,
+                moduleMap.sourcesContent ? moduleMap.sourcesContent[index] : null
+            ));
 
-            // Default exports: export default x
-            ExportDefaultDeclaration: (node) => {
-                this.processDefaultExport(
-                    node, content, exports, transformations, additionalExports
+            for (const [line, column, originalLine, originalColumn] of mappings) {
+                const segment = findSegment(lines[originalLine] || [], originalColumn);
+                if (!segment || segment.length < 4) continue;
+                sourceMap.addMapping(
+                    lineOffset + line, line === 0 ? column + firstLineColumn : column,
+                    sourceIndexes[segment[1]], segment[2], segment[3]
                 );
             }
-        });
+            return;
+        }
 
-        return {
-            dependencies,
-            imports,
-            exports,
-            transformations,
-            additionalExports,
-            processedExports
-        };
+        const sourceIndex = sourceMap.addSource(sources[0], module.content);
+        for (const [line, column, originalLine, originalColumn] of mappings) {
+            sourceMap.addMapping(
+                lineOffset + line, line === 0 ? column + firstLineColumn : column,
+                sourceIndex, originalLine, originalColumn
+            );
+        }
     }
 
     /**
-     * Process import declarations and create transformations
+     * The sources a module's code is listed under in the bundle's source map,
+     * relative to the directory the map is written to: the module's file, or
+     * the sources of the map plugins transformed it with
      */
-    processImport(node, content, filePath, dependencies, imports, transformations) {
-        // Skip invalid imports
-        if (!node.source || typeof node.source.value !== 'string') return;
+    getMapSources(module, outputFile) {
+        const toSourcePath = (filePath) => path.isAbsolute(filePath)
+            ? path.relative(path.dirname(outputFile), filePath).split(path.sep).join('/')
+            : filePath.replace(/\0/g, '');
 
-        const sourceValue = node.source.value;
-        dependencies.push(sourceValue);
+        if (!module.map) return [toSourcePath(module.filePath)];
+        return module.map.sources.map(source => toSourcePath(path.isAbsolute(module.filePath)
+            ? path.resolve(path.dirname(module.filePath), source)
+            : source));
+    }
 
-        // Handle external modules differently
-        if (!this.isLocalModule(sourceValue)) {
-            this.processExternalImport(node, content, transformations);
-            return;
-        }
+    /**
+     * Check if any module in the bundle is an asset whose URL can be under
+     * the public path
+     */
+    hasAssetModules() {
+        return [...this.modules.keys()]
+            .some(filePath => this.isModuleIncluded(filePath) && this.getLoaderName(filePath) === 'asset');
+    }
 
-        try {
-            // Resolve module path
-            const absolutePath = this.resolveDependencyPath(filePath, sourceValue);
-            const relativePath = './' + path.relative(process.cwd(), absolutePath);
-            const originalText = content.substring(node.start, node.end);
+    /**
+     * Check if an entry chunk's runtime needs the public path: for assets,
+     * or to load chunks with script tags
+     */
+    needsPublicPath(entryChunk, chunks) {
+        return this.hasAssetModules() || (this.config.format !== 'cjs' && this.needsChunkRuntime(entryChunk, chunks));
+    }
 
-            // Build import info
-            const importInfo = {
-                named: [],
-                default: null,
-                path: sourceValue,
-                originalText,
-                resolvedPath: relativePath
-            };
+    /**
+     * Check if an entry chunk needs the chunk loader: its page shares
+     * chunks with other entries or can load modules through import()
+     */
+    needsChunkRuntime(entryChunk, chunks) {
+        if (this.getInitialChunks(entryChunk, chunks).length > 1) return true;
 
-            // Process different import types
-            const { replacement, importData } = this.buildImportReplacement(node, relativePath);
-            Object.assign(importInfo, importData);
+        return [...this.collectStaticModules(entryChunk.entryFile, true)]
+            .some(filePath => this.modules.get(filePath).dynamicDependencies.length > 0);
+    }
 
-            imports.push(importInfo);
+    /**
+     * Find the modules that are evaluated asynchronously: the ones with
+     * top-level await and every ES module importing one, directly or not,
+     * since it has to wait for it. CommonJS modules can't wait, so
+     * require() gets them the exports before they are complete
+     */
+    findAsyncModules() {
+        const { importers } = this.getModuleImports();
+        const queue = [...this.modules.values()]
+            .filter(module => module.hasTopLevelAwait && this.isModuleIncluded(module.filePath))
+            .map(module => module.filePath);
+        const asyncModules = new Set(queue);
 
-            // Create transformation
-            transformations.push({
-                start: node.start,
-                end: node.end,
-                replacement
-            });
-        } catch (err) {
-            console.warn(`Warning: Error processing import '${sourceValue}' in ${filePath}: ${err.message}`);
+        while (queue.length > 0) {
+            const filePath = queue.pop();
+            for (const importer of importers.get(filePath)) {
+                const module = this.modules.get(importer.filePath);
+                if (importer.dynamic || asyncModules.has(importer.filePath) || !this.isModuleIncluded(importer.filePath)) continue;
+
+                if (module.isCommonJS) {
+                    this.diagnostics.warn(
+                        `${this.getModuleId(filePath)} uses top-level await, so require() returns its exports before it has finished`,
+                        { filePath: importer.filePath }
+                    );
+                    continue;
+                }
+                asyncModules.add(importer.filePath);
+                queue.push(importer.filePath);
+            }
         }
+        return asyncModules;
     }
 
     /**
-     * Handle imports from external/npm modules
+     * Check if a module is evaluated asynchronously (see findAsyncModules)
      */
-    processExternalImport(node, content, transformations) {
-        const originalText = content.substring(node.start, node.end);
+    isAsyncModule(filePath) {
+        return this.asyncModules.has(filePath);
+    }
 
-        // Simple transform of ES import to CommonJS require
-        transformations.push({
-            start: node.start,
-            end: node.end,
-            replacement: originalText
-                .replace('import', 'const')
-                .replace('from', '=')
-                .replace(/['"]([^'"]+)['"]/g, 'require("$1")')
-                .replace(/;?$/, ';')
+    /**
+     * Check if any module in the bundle is CommonJS
+     */
+    hasCommonJsModules() {
+        return Array.from(this.modules.values())
+            .some(module => module.isCommonJS && this.isModuleIncluded(module.filePath));
+    }
+
+    /**
+     * The externals the modules an entry chunk can load get from the runtime,
+     * each with the variable the format wrapper binds it to (iife bundles
+     * read globals directly)
+     */
+    getChunkExternals(entryChunk) {
+        const specifiers = new Set();
+        for (const filePath of this.collectStaticModules(entryChunk.entryFile, true)) {
+            if (!this.isModuleIncluded(filePath)) continue;
+            this.modules.get(filePath).externals.forEach(specifier => specifiers.add(specifier));
+        }
+
+        const variables = new Set();
+        return [...specifiers].sort().map(specifier => {
+            const baseName = '__external_' + specifier.replace(/[^\w$]/g, '_');
+            let variable = baseName;
+            for (let i = 1; variables.has(variable); i++) variable = baseName + i;
+            variables.add(variable);
+            return { specifier, variable, global: this.config.externals.get(specifier) || null };
         });
     }
 
     /**
-     * Build replacement code for import statements
+     * Generate the module functions externals are required through: each
+     * exports the value the format wrapper imported, or its global
      */
-    buildImportReplacement(node, modulePath) {
-        // Collect information about the imports
-        const namedImports = [];
-        let hasDefaultImport = false;
-        let defaultImportName = null;
-        let hasNamespaceImport = false;
-        let namespaceImportName = null;
+    generateExternalModules(externals) {
+        return externals.map(({ specifier, variable, global }) => {
+            const value = this.config.format === 'iife' ? global : variable;
+            return `    "${specifier}": function(module) {\n      module.exports = ${value};\n    },\n`;
+        }).join('');
+    }
 
-        // Process all import specifiers
-        node.specifiers.forEach(specifier => {
-            if (specifier.type === 'ImportDefaultSpecifier') {
-                hasDefaultImport = true;
-                defaultImportName = specifier.local.name;
-            } else if (specifier.type === 'ImportSpecifier') {
-                const importedName = specifier.imported.name;
-                const localName = specifier.local.name;
+    /**
+     * Plan scope hoisting for the entry chunk: which modules can be concatenated
+     * into a single scope, the order they run in and the final name of every
+     * top-level binding. Modules that can't be hoisted keep the wrapped form.
+     */
+    planScopeHoisting(chunk) {
+        const chunkModules = new Set(chunk.modules);
+        const scopes = new Map();
+        const importTables = new Map();
+        const exportTables = new Map();
+        const wrapped = new Set();
 
-                namedImports.push({
-                    importedName,
-                    localName,
-                    needsIndividualRequire: importedName !== localName
-                });
-            } else if (specifier.type === 'ImportNamespaceSpecifier') {
-                hasNamespaceImport = true;
-                namespaceImportName = specifier.local.name;
-            }
-        });
+        for (const filePath of chunk.modules) {
+            const module = this.modules.get(filePath);
+            const scope = analyzeScope(module.ast);
+            const { imports, exports, hasExternalImports } = this.buildBindingTables(module);
 
-        // Generate appropriate require statements
-        let replacement = '';
+            scopes.set(filePath, scope);
+            importTables.set(filePath, imports);
+            exportTables.set(filePath, exports);
 
-        // Handle namespace import (import * as name)
-        if (hasNamespaceImport) {
-            replacement += `const ${namespaceImportName} = require("${modulePath}");\n`;
+            // Direct eval and unbundled require() calls need the module's own function scope,
+            // export * and CommonJS need the module's exports object, and top-level await an async function
+            const hasExportAll = module.ast.body.some(statement => statement.type === 'ExportAllDeclaration');
+            if (scope.usesEval || hasExternalImports || hasExportAll || module.isCommonJS || this.isAsyncModule(filePath)) {
+                wrapped.add(filePath);
+            }
         }
 
-        // Handle default import when individual requires needed
-        if (hasDefaultImport && (namedImports.length === 0 ||
-            namedImports.some(imp => imp.needsIndividualRequire))) {
-            replacement += `const ${defaultImportName} = require("${modulePath}").default;\n`;
+        // A namespace object used as a value (not just ns.name) needs the real exports object
+        for (const filePath of chunk.modules) {
+            const module = this.modules.get(filePath);
+            const imports = importTables.get(filePath);
+            const staticMembers = this.collectStaticMemberAccesses(module.ast);
+
+            for (const { node, name } of scopes.get(filePath).references) {
+                const binding = imports.get(name);
+                if (binding && binding.name === '*' && binding.from && !staticMembers.has(node)) {
+                    wrapped.add(binding.from);
+                }
+            }
+            for (const entry of exportTables.get(filePath).values()) {
+                const binding = entry.local && imports.get(entry.local);
+                if (binding && binding.name === '*' && binding.from) wrapped.add(binding.from);
+            }
         }
 
-        // Handle named imports
-        if (namedImports.length > 0) {
-            const canUseDestructuring = !namedImports.some(imp => imp.needsIndividualRequire);
+        const hoisted = new Set(chunk.modules.filter(filePath => !wrapped.has(filePath)));
 
-            if (canUseDestructuring) {
-                // Use destructuring when possible: const { a, b } = require('./module')
-                let destructuringNames = namedImports.map(imp => imp.localName).join(', ');
+        // Order modules so that dependencies run first, like ES modules do
+        const order = [];
+        const visited = new Set();
+        const visit = (filePath) => {
+            if (visited.has(filePath) || !chunkModules.has(filePath)) return;
+            visited.add(filePath);
 
-                // Include default import in destructuring if possible
-                if (hasDefaultImport && canUseDestructuring) {
-                    destructuringNames = `default: ${defaultImportName}${
-                        destructuringNames.length > 0 ? ', ' + destructuringNames : ''
-                    }`;
+            const module = this.modules.get(filePath);
+            for (const dependency of module.dependencies) {
+                if (dependency && this.isResolvable(filePath, dependency)) {
+                    visit(this.resolveDependencyPath(filePath, dependency));
                 }
+            }
+            order.push(filePath);
+        };
+        visit(chunk.entryFile);
+        chunk.modules.forEach(visit);
 
-                replacement += `const { ${destructuringNames} } = require("${modulePath}");\n`;
-            } else {
-                // Individual requires when needed
-                for (const { importedName, localName } of namedImports) {
-                    replacement += `const ${localName} = require("${modulePath}").${importedName};\n`;
+        // Name the default export of modules that export an anonymous value
+        const defaultLocals = new Map();
+        for (const filePath of hoisted) {
+            const entry = exportTables.get(filePath).get('default');
+            if (entry && entry.local === null) {
+                const baseName = path.basename(filePath, path.extname(filePath))
+                    .replace(/[^a-zA-Z0-9_$]/g, '_')
+                    .replace(/^(?=\d)/, '_') + '_default';
+                const topLevelNames = scopes.get(filePath).topLevelNames;
+                let name = baseName;
+                for (let i = 1; topLevelNames.includes(name); i++) {
+                    name = `${baseName}${i}`;
                 }
+                entry.local = name;
+                defaultLocals.set(filePath, name);
             }
-        } else if (!hasDefaultImport && !hasNamespaceImport) {
-            // Side-effect only import: import './module'
-            replacement += `require("${modulePath}");\n`;
         }
 
-        // Create import data for module information
-        const importData = {
-            default: defaultImportName,
-            named: namedImports.map(i =>
-                i.importedName !== i.localName
-                    ? `${i.importedName} as ${i.localName}`
-                    : i.importedName
-            ),
-            namespace: namespaceImportName
-        };
+        // Modules whose nested scopes could capture a binding substituted into them
+        const importers = new Map([...hoisted].map(filePath => [filePath, new Set()]));
+        for (const filePath of hoisted) {
+            const sources = [
+                ...[...importTables.get(filePath).values()].map(binding => binding.from),
+                ...[...exportTables.get(filePath).values()].map(entry => entry.from)
+            ];
+            for (const from of sources) {
+                if (from && importers.has(from)) importers.get(from).add(filePath);
+            }
+        }
 
-        return {
-            replacement: replacement.trim(),
-            importData
-        };
-    }
+        // Give every top-level binding a name unique across the whole scope,
+        // avoiding the globals any module relies on
+        const usedNames = new Set(['require', 'modules', 'module', 'exports']);
+        for (const filePath of hoisted) {
+            scopes.get(filePath).globals.forEach(name => usedNames.add(name));
+        }
 
-    /**
-     * Process named exports and create transformations
-     */
-    processNamedExport(
-        node, content, filePath, dependencies, exports,
-        transformations, additionalExports, processedExports
-    ) {
-        if (node.declaration) {
-            // Handle export declarations: export const x = 1
-            this.processExportDeclaration(
-                node, exports, transformations, additionalExports, processedExports
-            );
-        } else if (node.specifiers.length > 0) {
-            // Handle export specifiers: export { x, y }
-            this.processExportSpecifiers(
-                node, content, filePath, dependencies, exports, transformations
-            );
+        const names = new Map();
+        for (const filePath of order.filter(filePath => hoisted.has(filePath))) {
+            const { topLevelNames, nestedNames } = scopes.get(filePath);
+            const forbidden = new Set();
+            for (const importer of importers.get(filePath)) {
+                scopes.get(importer).nestedNames.forEach(name => forbidden.add(name));
+            }
+
+            const moduleNames = new Map();
+            const localNames = defaultLocals.has(filePath)
+                ? [...topLevelNames, defaultLocals.get(filePath)]
+                : topLevelNames;
+            for (const name of localNames) {
+                let finalName = name;
+                for (let i = 1;
+                    usedNames.has(finalName) || forbidden.has(finalName) ||
+                    (finalName !== name && nestedNames.has(finalName));
+                    i++) {
+                    finalName = `${name}$${i}`;
+                }
+                usedNames.add(finalName);
+                moduleNames.set(name, finalName);
+            }
+            names.set(filePath, moduleNames);
+        }
+
+        // Hoisted modules required from wrapped code get a real exports object
+        const registered = new Set();
+        for (const [filePath, module] of this.modules) {
+            if (!this.isModuleIncluded(filePath)) continue;
+
+            const specifiers = hoisted.has(filePath)
+                ? module.dynamicDependencies
+                : [...module.dependencies, ...module.dynamicDependencies];
+            for (const dependency of specifiers) {
+                if (!dependency || !this.isResolvable(filePath, dependency)) continue;
+                const absolutePath = this.resolveDependencyPath(filePath, dependency);
+                if (hoisted.has(absolutePath)) registered.add(absolutePath);
+            }
         }
+
+        return { order, hoisted, registered, scopes, importTables, exportTables, names, defaultLocals };
     }
 
     /**
-     * Process export declarations (export const x = 1)
+     * Map a module's import and export bindings to the modules they come from
      */
-    processExportDeclaration(
-        node, exports, transformations, additionalExports, processedExports
-    ) {
-        // Remove 'export' keyword but keep declaration
-        transformations.push({
-            start: node.start,
-            end: node.start + 'export '.length,
-            replacement: ''
-        });
+    buildBindingTables(module) {
+        const imports = new Map();
+        const exports = new Map();
+        let hasExternalImports = false;
 
-        // Track exports based on declaration type
-        if (node.declaration.type === 'VariableDeclaration') {
-            // Handle: export const/let/var x = 1, y = 2
-            for (const decl of node.declaration.declarations) {
-                if (decl.id.type === 'Identifier') {
-                    const varName = decl.id.name;
-                    exports.named.push(varName);
-                    additionalExports.push(`exports.${varName} = ${varName};`);
-                    processedExports.add(varName);
+        const resolve = (specifier) => {
+            if (!this.isResolvable(module.filePath, specifier)) {
+                hasExternalImports = true;
+                return null;
+            }
+            return this.resolveDependencyPath(module.filePath, specifier);
+        };
+
+        for (const statement of module.ast.body) {
+            if (statement.type === 'ImportDeclaration') {
+                const from = resolve(statement.source.value);
+                for (const specifier of statement.specifiers) {
+                    const name = specifier.type === 'ImportDefaultSpecifier' ? 'default'
+                        : specifier.type === 'ImportNamespaceSpecifier' ? '*'
+                        : this.getSpecifierName(specifier.imported);
+                    imports.set(specifier.local.name, { from, name });
                 }
+            } else if (statement.type === 'ExportNamedDeclaration') {
+                if (statement.declaration) {
+                    const declaration = statement.declaration;
+                    const declaredNames = declaration.type === 'VariableDeclaration'
+                        ? declaration.declarations.flatMap(declarator => collectPatternNames(declarator.id))
+                        : [declaration.id.name];
+                    declaredNames.forEach(name => exports.set(name, { local: name }));
+                } else if (statement.source) {
+                    const from = resolve(statement.source.value);
+                    for (const specifier of statement.specifiers) {
+                        exports.set(this.getSpecifierName(specifier.exported), { from, name: this.getSpecifierName(specifier.local) });
+                    }
+                } else {
+                    for (const specifier of statement.specifiers) {
+                        exports.set(this.getSpecifierName(specifier.exported), { local: specifier.local.name });
+                    }
+                }
+            } else if (statement.type === 'ExportDefaultDeclaration') {
+                const declaration = statement.declaration;
+                // Anonymous default exports get a generated name while planning
+                exports.set('default', {
+                    local: declaration.id ? declaration.id.name
+                        : declaration.type === 'Identifier' ? declaration.name
+                        : null
+                });
             }
-        } else if (['FunctionDeclaration', 'ClassDeclaration'].includes(node.declaration.type)) {
-            // Handle: export function x(){} or export class X{}
-            if (node.declaration.id) {
-                const name = node.declaration.id.name;
-                exports.named.push(name);
-                additionalExports.push(`exports.${name} = ${name};`);
-                processedExports.add(name);
+        }
+
+        return { imports, exports, hasExternalImports };
+    }
+
+    /**
+     * Collect the identifiers used as `ns.name` or `ns["name"]`
+     * Returns a map from the object identifier to its member expression
+     */
+    collectStaticMemberAccesses(ast) {
+        const members = new Map();
+        walk.simple(ast, {
+            MemberExpression: (node) => {
+                if (node.object.type === 'Identifier' && this.getStaticPropertyName(node) !== null) {
+                    members.set(node.object, node);
+                }
             }
-        }
+        });
+        return members;
     }
 
     /**
-     * Process export specifiers (export { x, y as z })
+     * Get the property name of a member expression, if known at build time
      */
-    processExportSpecifiers(
-        node, content, filePath, dependencies, exports, transformations
-    ) {
-        let replacement = '';
-
-        if (node.source) {
-            // Handle re-exports: export { x, y } from 'module'
-            this.processReExports(
-                node, filePath, dependencies, exports, transformations
-            );
-        } else {
-            // Handle local re-exports: export { x, y as z }
-            for (const specifier of node.specifiers) {
-                const exportedName = specifier.exported.name;
-                const localName = specifier.local.name;
-                exports.named.push(exportedName);
-                replacement += `exports.${exportedName} = ${localName};\n`;
-            }
-
-            transformations.push({
-                start: node.start,
-                end: node.end,
-                replacement: replacement.trim()
-            });
+    getStaticPropertyName(node) {
+        if (!node.computed) return node.property.name;
+        if (node.property.type === 'Literal' && typeof node.property.value === 'string') {
+            return node.property.value;
         }
+        return null;
     }
 
     /**
-     * Process re-exports (export { x } from 'module')
+     * Get the expression that reads an export of a module in the hoisted scope,
+     * following re-exports and imports to the binding that holds the value
      */
-    processReExports(
-        node, filePath, dependencies, exports, transformations
-    ) {
-        const source = node.source.value;
-        dependencies.push(source);
+    resolveHoistedBinding(plan, filePath, exportName, seen = new Set()) {
+        // Wrapped modules are read through their exports object
+        if (!plan.hoisted.has(filePath)) {
+            const namespace = this.getImportSource(this.getModuleId(filePath), this.modules.get(filePath).isCommonJS);
+            return exportName === '*' ? namespace : this.generatePropertyAccess(namespace, exportName);
+        }
 
-        try {
-            // Resolve module path
-            const absolutePath = this.resolveDependencyPath(filePath, source);
-            const relativePath = './' + path.relative(process.cwd(), absolutePath);
+        // Circular re-exports never reach a binding
+        const key = `${filePath}:${exportName}`;
+        if (seen.has(key)) return 'void 0';
+        seen.add(key);
 
-            // Build replacement
-            let replacement = '';
-            const requireVarName = `_require_${source.replace(/[^a-zA-Z0-9_]/g, '_')}`;
-            replacement += `const ${requireVarName} = require("${relativePath}");\n`;
+        const entry = plan.exportTables.get(filePath).get(exportName);
+        if (!entry) return 'void 0';
 
-            // Process individual exports
-            for (const specifier of node.specifiers) {
-                const exportedName = specifier.exported.name;
-                const localName = specifier.local.name;
-                exports.named.push(exportedName);
-                replacement += `exports.${exportedName} = ${requireVarName}.${localName};\n`;
-            }
+        if (entry.from !== undefined) {
+            return entry.from ? this.resolveHoistedBinding(plan, entry.from, entry.name, seen) : 'void 0';
+        }
 
-            transformations.push({
-                start: node.start,
-                end: node.end,
-                replacement: replacement.trim()
-            });
-        } catch (err) {
-            console.warn(`Warning: Error processing re-export from '${source}' in ${filePath}`);
+        // export { x } where x was itself imported
+        const binding = plan.importTables.get(filePath).get(entry.local);
+        if (binding) {
+            return binding.from ? this.resolveHoistedBinding(plan, binding.from, binding.name, seen) : 'void 0';
         }
+
+        return plan.names.get(filePath).get(entry.local) || entry.local;
     }
 
     /**
-     * Process default exports and create transformations
+     * Transform a module for the hoisted scope: imports and exports disappear,
+     * imported names become direct references and clashing bindings are renamed
      */
-    processDefaultExport(node, content, exports, transformations, additionalExports) {
-        // Set default export placeholder
-        exports.default = '_default_export_';
+    async transformHoistedModule(module, plan) {
+        return this.transformModuleContent(module, this.buildHoistTransformations(module, plan));
+    }
 
-        if (node.declaration.type === 'Identifier') {
-            // Handle: export default existingVariable
-            exports.default = node.declaration.name;
-            transformations.push({
-                start: node.start,
-                end: node.end,
-                replacement: `exports.default = ${node.declaration.name};`
-            });
-        } else if (['FunctionDeclaration', 'ClassDeclaration'].includes(node.declaration.type)) {
-            // Handle: export default function x(){} or class X{}
-            if (node.declaration.id) {
-                // Named function or class
-                exports.default = node.declaration.id.name;
-                const name = node.declaration.id.name;
+    /**
+     * Build the transformations that turn a module into hoisted code
+     */
+    buildHoistTransformations(module, plan) {
+        const filePath = module.filePath;
+        const imports = plan.importTables.get(filePath);
+        const names = plan.names.get(filePath);
+        const transformations = [...this.replaceDefines(module.ast)];
+        const removedNodes = [];
 
-                // Remove 'export default' but keep declaration
-                transformations.push({
-                    start: node.start,
-                    end: node.start + 'export default '.length,
-                    replacement: ''
-                });
+        const remove = (node, replacement = '') => {
+            transformations.push({ start: node.start, end: node.end, replacement });
+            removedNodes.push(node);
+        };
 
-                // Add export at the end
-                additionalExports.push(`exports.default = ${name};`);
-            } else {
-                // Anonymous function/class
-                const declarationText = content.substring(
-                    node.declaration.start,
-                    node.declaration.end
-                );
+        // Wrapped dependencies still have to run at the point they were imported
+        const requireIfWrapped = (specifier) => {
+            if (!this.isResolvable(filePath, specifier)) return '';
+            const absolutePath = this.resolveDependencyPath(filePath, specifier);
+            return !plan.hoisted.has(absolutePath) && this.isModuleIncluded(absolutePath)
+                ? `require("${this.getModuleId(absolutePath)}");`
+                : '';
+        };
 
-                transformations.push({
-                    start: node.start,
-                    end: node.end,
-                    replacement: `exports.default = ${declarationText};`
-                });
+        for (const statement of module.ast.body) {
+            const declaration = statement.declaration;
+
+            if (statement.type === 'ImportDeclaration') {
+                remove(statement, requireIfWrapped(statement.source.value));
+            } else if (statement.type === 'ExportNamedDeclaration') {
+                if (declaration && this.isDeclarationRemoved(declaration)) {
+                    remove(statement);
+                } else if (declaration) {
+                    // Keep the declaration, drop the export keyword
+                    transformations.push({ start: statement.start, end: declaration.start, replacement: '' });
+                } else {
+                    remove(statement, statement.source ? requireIfWrapped(statement.source.value) : '');
+                }
+            } else if (statement.type === 'ExportDefaultDeclaration') {
+                if (declaration.id) {
+                    if (this.isDeclarationRemoved(declaration)) {
+                        remove(statement);
+                    } else {
+                        transformations.push({ start: statement.start, end: declaration.start, replacement: '' });
+                    }
+                } else if (declaration.type === 'Identifier' ||
+                           (!this.isExportUsed(filePath, 'default') && isPureStatement(statement, module.content))) {
+                    remove(statement);
+                } else {
+                    // export default <expression> becomes a named constant
+                    const name = names.get(plan.defaultLocals.get(filePath));
+                    transformations.push({ start: statement.start, end: declaration.start, replacement: `const ${name} = ` });
+                    transformations.push({ start: declaration.end, end: statement.end, replacement: ';' });
+                }
+            }
+        }
+
+        // Point imported names at their bindings and apply renames
+        const staticMembers = this.collectStaticMemberAccesses(module.ast);
+        for (const { node, name, shorthand } of plan.scopes.get(filePath).references) {
+            const binding = imports.get(name);
+            let target = node;
+            let replacement;
+
+            if (binding && !binding.from) {
+                replacement = 'void 0';
+            } else if (binding && binding.name === '*' && plan.hoisted.has(binding.from) && staticMembers.has(node)) {
+                // ns.name reads the binding directly
+                target = staticMembers.get(node);
+                replacement = this.resolveHoistedBinding(plan, binding.from, this.getStaticPropertyName(target));
+            } else if (binding) {
+                replacement = this.resolveHoistedBinding(plan, binding.from, binding.name);
+            } else if (names.has(name) && names.get(name) !== name) {
+                replacement = names.get(name);
+            } else {
+                continue;
             }
-        } else {
-            // Handle: export default expression
-            const declarationText = content.substring(
-                node.declaration.start,
-                node.declaration.end
-            );
 
             transformations.push({
-                start: node.start,
-                end: node.end,
-                replacement: `exports.default = ${declarationText};`
+                start: target.start,
+                end: target.end,
+                replacement: shorthand ? `${name}: ${replacement}` : replacement
             });
         }
+
+        // Dynamic imports load through the runtime as usual
+        walk.simple(module.ast, {
+            ImportExpression: (node) => {
+                this.processDynamicImport(node, filePath, [], transformations);
+            },
+
+            MemberExpression: (node) => {
+                this.processHotReference(node, transformations);
+            }
+        });
+
+        // Nothing is left to transform inside removed statements
+        const isRemoved = (transformation) => removedNodes.some(node =>
+            transformation.start >= node.start && transformation.end <= node.end &&
+            !(transformation.start === node.start && transformation.end === node.end)
+        );
+        return transformations.filter(transformation => !isRemoved(transformation));
     }
 
     /**
-     * Transform module content using pre-computed transformations
+     * Generate the entry chunk with hoisted modules concatenated into one scope;
+     * the module runtime is only included when something still needs it
      */
-    async transformModuleContent(module) {
-        // Apply pre-transform plugins
-        let transformedContent = await this.applyPlugins('preTransform', module.content, module);
+    generateHoistedChunk(chunk, chunks, transformedModules, plan, outputFile) {
+        const wrappedModules = chunk.modules.filter(filePath => !plan.hoisted.has(filePath));
+        const externals = this.getChunkExternals(chunk);
+        const needsChunkRuntime = this.needsChunkRuntime(chunk, chunks);
+        const needsRuntime = wrappedModules.length > 0 || plan.registered.size > 0 || needsChunkRuntime || externals.length > 0 ||
+            this.hasAssetModules();
 
-        // Apply transformations in reverse order (to maintain position integrity)
-        const transformations = [...module.transformations].sort((a, b) => b.start - a.start);
+        const sourceMap = this.isMappingEnabled()
+            ? new SourceMapBuilder(chunk.fileName)
+            : null;
 
-        for (const { start, end, replacement } of transformations) {
-            transformedContent =
-                transformedContent.substring(0, start) +
-                replacement +
-                transformedContent.substring(end);
-        }
+        let bundle = this.generateFormatIntro(chunk, externals) + '(function() {\n';
+        if (needsRuntime) {
+            bundle = this.generateFormatIntro(chunk, externals) + this.generateBundleRuntime(this.needsPublicPath(chunk, chunks)) + '  var modules = {\n';
 
-        // Add any additional exports at the end
-        const additionalExports = [...module.additionalExports];
-        for (const exp of module.exports.named) {
-            if (!module.processedExports.has(exp)) {
-                additionalExports.push(`exports.${exp} = ${exp};`);
+            for (const filePath of wrappedModules) {
+                const { code: content, mappings } = transformedModules.get(filePath);
+                bundle += this.generateModuleHeader(this.getModuleId(filePath), this.isAsyncModule(filePath));
+                if (sourceMap) {
+                    this.addModuleMappings(sourceMap, this.modules.get(filePath), mappings, bundle, 6, outputFile);
+                }
+                bundle += `      ${content}\n`;
+                bundle += '    },\n';
+            }
+
+            bundle += this.generateExternalModules(externals);
+            bundle += '  };\n\n';
+            if (this.hasCommonJsModules() || (externals.length > 0 && this.isExternalCommonJS())) {
+                bundle += this.generateInteropRuntime();
+            }
+            if (needsChunkRuntime) {
+                bundle += this.generateChunkRuntime(chunk, chunks);
             }
         }
 
-        if (additionalExports.length > 0) {
-            transformedContent += '\n' + additionalExports.join('\n');
+        // Hoisted modules, dependencies first
+        for (const filePath of plan.order) {
+            if (!plan.hoisted.has(filePath)) continue;
+
+            const { code: content, mappings } = transformedModules.get(filePath);
+            bundle += `  // ${this.getModuleId(filePath)}\n`;
+            if (sourceMap) {
+                this.addModuleMappings(sourceMap, this.modules.get(filePath), mappings, bundle, 0, outputFile);
+            }
+            bundle += `${content}\n`;
+
+            if (plan.registered.has(filePath)) {
+                bundle += `  require.cache["${this.getModuleId(filePath)}"] = { exports: ${this.generateHoistedExports(plan, filePath)} };\n`;
+            }
         }
 
-        // Apply post-transform plugins
-        transformedContent = await this.applyPlugins('postTransform', transformedContent, module);
+        // A wrapped entry module still has to be started
+        bundle += plan.hoisted.has(chunk.entryFile)
+            ? `  return ${this.generateHoistedExports(plan, chunk.entryFile)};\n`
+            : this.generateEntryReturn(chunk);
+        bundle += '})();\n' + this.generateFormatOutro(chunk);
 
-        return transformedContent;
+        return {
+            fileName: chunk.fileName,
+            code: bundle,
+            map: sourceMap ? sourceMap.toJSON() : null
+        };
     }
 
     /**
-     * Generate the final bundle with all modules
+     * Generate an exports object for a hoisted module, reading its bindings live
      */
-    async generateBundle() {
-        // Create bundle header with runtime code
-        let bundle = this.generateBundleRuntime();
-
-        // Transform all modules and add them to the bundle
-        const moduleEntries = Array.from(this.modules.entries());
-        const transformedModules = await Promise.all(
-            moduleEntries.map(async ([filePath, module]) => {
-                const relativePath = './' + path.relative(process.cwd(), module.filePath);
-                console.log('Adding module:', relativePath);
-
-                const transformedContent = await this.transformModuleContent(module);
-                return {
-                    path: relativePath,
-                    content: transformedContent
-                };
-            })
+    generateHoistedExports(plan, filePath) {
+        const getters = [...plan.exportTables.get(filePath).keys()].map(name =>
+            `get ${this.isIdentifierName(name) ? name : JSON.stringify(name)}() { return ${this.resolveHoistedBinding(plan, filePath, name)}; }`
         );
+        return `{ ${getters.join(', ')} }`;
+    }
 
-        // Add all modules to the bundle
-        bundle += '  var modules = {\n';
-        transformedModules.forEach(({ path, content }) => {
-            bundle += `    "${path}": function(module, exports, require) {\n`;
-            bundle += `      ${content}\n`;
-            bundle += '    },\n';
-        });
-        bundle += '  };\n\n';
+    /**
+     * Generate the start of the function a module's code runs in; modules
+     * with top-level await (or async dependencies) get an async function
+     */
+    generateModuleHeader(moduleId, isAsync) {
+        return `    "${moduleId}": ${isAsync ? 'async ' : ''}function(module, exports, require) {\n`;
+    }
+
+    /**
+     * Generate the statement that starts an entry chunk's entry module and
+     * returns its exports to the format wrapper; an esm bundle waits for an
+     * async entry with top-level await of its own
+     */
+    generateEntryReturn(entryChunk) {
+        const moduleId = this.getModuleId(entryChunk.entryFile);
+        return this.config.format === 'esm' && this.isAsyncModule(entryChunk.entryFile)
+            ? `  return require.async("${moduleId}");\n`
+            : `  return require("${moduleId}");\n`;
+    }
+
+    /**
+     * Generate the code before the entry chunk's function for the output format;
+     * the function evaluates to the entry module's exports. The chunk's
+     * externals are imported or required here, and umd bundles take them
+     * as arguments of their factory
+     */
+    generateFormatIntro(entryChunk, externals = []) {
+        const { format, name } = this.config;
+        const specifiers = externals.map(external => JSON.stringify(external.specifier));
+
+        switch (format) {
+            case 'esm':
+                return externals.map(({ specifier, variable }) => `import * as ${variable} from ${JSON.stringify(specifier)};\n`).join('') +
+                    (this.isAsyncModule(entryChunk.entryFile) ? 'var __entryExports = await ' : 'var __entryExports = ');
+            case 'cjs':
+                return externals.map(({ specifier, variable }) => `var ${variable} = require(${JSON.stringify(specifier)});\n`).join('') +
+                    'module.exports = ';
+            case 'umd':
+                return `
+(function(root, factory) {
+  if (typeof define === 'function' && define.amd) define([${specifiers.join(', ')}], factory);
+  else if (typeof module === 'object' && module.exports) module.exports = factory(${specifiers.map(specifier => `require(${specifier})`).join(', ')});
+  else root.${name} = factory(${externals.map(external => `root.${external.global}`).join(', ')});
+})(typeof self !== 'undefined' ? self : this, function(${externals.map(external => external.variable).join(', ')}) {
+return `.trimStart();
+            default:
+                return name ? `var ${name} = ` : '';
+        }
+    }
+
+    /**
+     * Generate the code after the entry chunk's function for the output format
+     */
+    generateFormatOutro(entryChunk) {
+        if (this.config.format === 'umd') return '});\n';
+        if (this.config.format !== 'esm') return '';
+
+        // Real export statements for everything the entry module exports
+        const entryModule = this.modules.get(entryChunk.entryFile);
+        const defaultExport = entryModule.isCommonJS
+            ? 'export default __entryExports && __entryExports.__esModule ? __entryExports.default : __entryExports;\n'
+            : entryModule.exports.default ? 'export default __entryExports.default;\n' : '';
+        // Names from export * of externals are only known to the module they come from
+        const externalStarExports = [...this.getExternalStarExports(entryChunk.entryFile)]
+            .map(specifier => `export * from ${JSON.stringify(specifier)};\n`);
+        // String names (export { x as "a-b" }) can only be exported through a specifier
+        return [...this.getModuleExports(entryChunk.entryFile).keys()]
+            .filter(name => name !== 'default')
+            .map((name, index) => this.isIdentifierName(name)
+                ? `export const ${name} = __entryExports.${name};\n`
+                : `var __entryExport${index} = __entryExports[${JSON.stringify(name)}];\n` +
+                  `export { __entryExport${index} as ${JSON.stringify(name)} };\n`)
+            .join('') + externalStarExports.join('') + defaultExport;
+    }
 
-        // Add code to start execution from entry point
-        const relativeEntryPath = './' + path.relative(process.cwd(), this.entryFile);
-        bundle += `  require("${relativeEntryPath}");\n`;
-        bundle += '})();\n';
+    /**
+     * Get the externals a module passes on through export *, its own or
+     * those of the modules it passes on the same way
+     */
+    getExternalStarExports(filePath, seen = new Set()) {
+        const specifiers = new Set();
+        const module = this.modules.get(filePath);
+        if (!module || seen.has(filePath)) return specifiers;
+        seen.add(filePath);
 
-        return bundle;
+        for (const reExport of (module.reExports || []).filter(reExport => reExport.star)) {
+            if (!reExport.filePath) {
+                specifiers.add(reExport.resolvedPath);
+            } else {
+                this.getExternalStarExports(reExport.filePath, seen).forEach(specifier => specifiers.add(specifier));
+            }
+        }
+        return specifiers;
     }
 
     /**
-     * Generate the bundle runtime code that implements the module system
+     * Generate the bundle runtime code that implements the module system;
+     * with usesPublicPath, it reads the public path as soon as it starts
      */
-    generateBundleRuntime() {
+    generateBundleRuntime(usesPublicPath = false) {
+        // With hot module replacement, modules get a module.hot API and the
+        // runtime records which modules import which
+        const hmr = this.config.hmr;
+        // Async module functions return a promise, which require.async waits for
+        const hasAsyncModules = this.asyncModules.size > 0;
+        const execute = hasAsyncModules
+            ? [
+                'var evaluation = modules[moduleId].call(module.exports, module, module.exports, require);',
+                'if (evaluation && typeof evaluation.then === "function") module.promise = evaluation.then(function() { return module.exports; });'
+            ]
+            : ['modules[moduleId].call(module.exports, module, module.exports, require);'];
+
         return `
 (function(modules) {
   // The require function: loads modules and caches them
-  function require(moduleId) {
+  function require(moduleId) {${hmr ? `
+    hotAddImporter(moduleId);
+` : ''}
     // Check if module is in cache
     if (require.cache[moduleId]) return require.cache[moduleId].exports;
 
     // Create a new module and add to cache
-    const module = { exports: {} };
+    const module = { exports: {} };${hmr ? `
+    module.hot = hotCreateContext(moduleId);` : ''}
     require.cache[moduleId] = module;
 
     // If module doesn't exist, throw error
@@ -625,7 +4211,12 @@ class SimpleBundler {
     }
 
     // Execute the module function
-    modules[moduleId](module, module.exports, require);
+    ${hmr ? `hotRunning.push(moduleId);
+    try {
+      ${execute.join('\n      ')}
+    } finally {
+      hotRunning.pop();
+    }` : execute.join('\n    ')}
 
     // Return the exports object
     return module.exports;
@@ -633,22 +4224,380 @@ class SimpleBundler {
 
   // Module cache object
   require.cache = {};
+${usesPublicPath ? `
+  // URL prefix of chunks and assets, read once while the bundle's own script runs
+  require.publicPath = ${this.getPublicPathExpression()};
+` : ''}${hasAsyncModules ? `
+  // Evaluate a module and wait until it has finished, top-level awaits included
+  require.async = function(moduleId) {
+    var exports = require(moduleId);
+    return require.cache[moduleId].promise || Promise.resolve(exports);
+  };
+` : ''}
+  // Define an ES module's exports as getters, so importers always see current values
+  require.defineExports = function(exports, getters) {
+    for (var name in getters) {
+      Object.defineProperty(exports, name, { enumerable: true, get: getters[name] });
+    }
+  };
 
 `.trim() + '\n\n';
     }
+
+    /**
+     * Generate the runtime helper ES modules use to import CommonJS modules
+     */
+    generateInteropRuntime() {
+        return `
+  // ES module view of CommonJS exports: module.exports is the default export and
+  // its properties the named ones, unless it was compiled from an ES module
+  require.interop = function(exports) {
+    if (exports && exports.__esModule) return exports;
+    var namespace = { default: exports };
+    if (exports && (typeof exports === "object" || typeof exports === "function")) {
+      Object.keys(exports).forEach(function(key) {
+        if (key === "default") return;
+        Object.defineProperty(namespace, key, {
+          enumerable: true,
+          get: function() { return exports[key]; }
+        });
+      });
+    }
+    return namespace;
+  };
+
+`.slice(1);
+    }
+
+    /**
+     * Generate the hot module replacement runtime: an update swaps in new
+     * module functions, then the modules that changed run again together with
+     * their importers, up to the nearest ones that accept updates. When a
+     * change reaches an entry that doesn't accept it, the page reloads
+     */
+    generateHotRuntime() {
+        return `
+  // Hot module replacement: the modules running (to record who imports what),
+  // each module's importers, and what old versions left for the new ones
+  var hotRunning = [];
+  var hotImporters = {};
+  var hotData = {};
+
+  function hotAddImporter(moduleId) {
+    var importer = hotRunning[hotRunning.length - 1];
+    if (importer === undefined) return;
+    (hotImporters[moduleId] = hotImporters[moduleId] || {})[importer] = true;
+  }
+
+  // import.meta.hot
+  function hotCreateContext(moduleId) {
+    var hot = {
+      data: hotData[moduleId] || {},
+      accepted: false,
+      acceptCallbacks: [],
+      disposeCallbacks: [],
+      // Updates of this module and the modules it imports stop here: it runs
+      // again, and the callback gets the exports of the new version
+      accept: function(callback) {
+        hot.accepted = true;
+        if (callback) hot.acceptCallbacks.push(callback);
+      },
+      // Called before a new version runs, with an object that becomes its data
+      dispose: function(callback) {
+        hot.disposeCallbacks.push(callback);
+      }
+    };
+    return hot;
+  }
+
+  // Apply an update; returns false when the page has to reload instead
+  function hotApply(updatedModules) {
+    // The modules that ran and changed, and their importers up to the ones that accept
+    var outdated = {};
+    var boundaries = [];
+    var queue = Object.keys(updatedModules).filter(function(moduleId) { return require.cache[moduleId]; });
+    while (queue.length > 0) {
+      var moduleId = queue.pop();
+      if (outdated[moduleId]) continue;
+      outdated[moduleId] = true;
+      if (require.cache[moduleId].hot.accepted) {
+        boundaries.push(moduleId);
+        continue;
+      }
+
+      var importers = Object.keys(hotImporters[moduleId] || {}).filter(function(importer) {
+        return require.cache[importer];
+      });
+      // Nothing accepts the update on the way up to an entry
+      if (importers.length === 0) return false;
+      queue.push.apply(queue, importers);
+    }
+
+    // Old versions clean up, and are forgotten along with what they imported
+    var acceptCallbacks = {};
+    Object.keys(outdated).forEach(function(moduleId) {
+      var hot = require.cache[moduleId].hot;
+      var data = {};
+      hot.disposeCallbacks.forEach(function(callback) { callback(data); });
+      hotData[moduleId] = data;
+      acceptCallbacks[moduleId] = hot.acceptCallbacks;
+      delete require.cache[moduleId];
+      for (var imported in hotImporters) delete hotImporters[imported][moduleId];
+    });
+
+    for (var updatedId in updatedModules) {
+      modules[updatedId] = updatedModules[updatedId];
+    }
+
+    // Running the accepting modules again runs the outdated modules they import
+    try {
+      boundaries.forEach(function(moduleId) {
+        var exports = require(moduleId);
+        acceptCallbacks[moduleId].forEach(function(callback) { callback(exports); });
+      });
+    } catch (err) {
+      console.error("[HMR] Update failed, reloading", err);
+      return false;
+    }
+    console.log("[HMR] Updated " + Object.keys(updatedModules).join(", "));
+    return true;
+  }
+
+  (self.simpleBundlerHotRuntimes = self.simpleBundlerHotRuntimes || []).push(hotApply);
+
+`.slice(1);
+    }
+
+    /**
+     * Generate the script that applies a hot update: it hands the new module
+     * functions to the runtime of every bundle on the page, and reloads the
+     * page if one of them can't apply them
+     */
+    generateHotUpdate(changedModules) {
+        let code = `
+(function(modules) {
+  var runtimes = self.simpleBundlerHotRuntimes || [];
+  var applied = runtimes.length > 0;
+  runtimes.forEach(function(apply) { applied = apply(modules) && applied; });
+  if (!applied) location.reload();
+})({
+`.slice(1);
+        for (const [moduleId, content] of changedModules) {
+            code += this.generateModuleHeader(moduleId, this.hotBuild.asyncModules.includes(moduleId));
+            code += `      ${content}\n`;
+            code += '    },\n';
+        }
+        return code + '});\n';
+    }
+
+    /**
+     * Generate the runtime code that loads chunks for dynamic imports; cjs
+     * bundles require() them from the directory they are in
+     */
+    generateChunkRuntime(entryChunk, chunks) {
+        const initialChunks = this.getInitialChunks(entryChunk, chunks);
+
+        // Chunks that must be loaded before each dynamically imported module can run,
+        // leaving out the ones this page loaded right away
+        const chunkMap = {};
+        for (const filePath of this.collectStaticModules(entryChunk.entryFile, true)) {
+            const module = this.modules.get(filePath);
+            for (const dependency of module.dynamicDependencies) {
+                const target = this.resolveDependencyPath(filePath, dependency);
+                const needed = this.collectStaticModules(target);
+                const fileNames = chunks
+                    .filter(chunk => !initialChunks.includes(chunk) &&
+                                     chunk.modules.some(chunkModule => needed.has(chunkModule)))
+                    .map(chunk => chunk.fileName);
+                if (fileNames.length > 0) chunkMap[this.getModuleId(target)] = fileNames;
+            }
+        }
+
+        // Shared chunks the page loaded with script tags don't need fetching again
+        const installedChunks = {};
+        for (const chunk of initialChunks) {
+            if (chunk !== entryChunk) installedChunks[chunk.fileName] = true;
+        }
+
+        if (this.config.format === 'cjs') {
+            return `
+  // Chunk loading for dynamic imports
+  var chunkMap = ${JSON.stringify(chunkMap)};
+  var installedChunks = {};
+
+${this.generateInstallChunk()}
+
+  // Load a chunk with Node's require(), only once
+  require.loadChunk = function(fileName) {
+    if (!installedChunks[fileName]) {
+      installedChunks[fileName] = Promise.resolve().then(function() {
+        installChunk(module.require("./" + fileName));
+      }).catch(function(err) {
+        delete installedChunks[fileName];
+        throw err;
+      });
+    }
+    return installedChunks[fileName];
+  };
+
+${this.generateDynamicImportRuntime()}
+${Object.keys(installedChunks).length > 0 ? `
+  // Shared chunks of this entry are loaded right away
+  ${JSON.stringify(Object.keys(installedChunks))}.forEach(function(fileName) {
+    installChunk(module.require("./" + fileName));
+    installedChunks[fileName] = Promise.resolve();
+  });
+` : ''}
+`.slice(1);
+        }
+
+        return `
+  // Chunk loading for dynamic imports
+  var chunkMap = ${JSON.stringify(chunkMap)};
+  var installedChunks = ${JSON.stringify(installedChunks)};
+
+${this.generateInstallChunk()}
+
+  // Load a chunk with a script tag, only once
+  require.loadChunk = function(fileName) {
+    if (!installedChunks[fileName]) {
+      installedChunks[fileName] = new Promise(function(resolve, reject) {
+        var script = document.createElement("script");
+        script.src = require.publicPath + fileName;
+        script.onload = resolve;
+        script.onerror = function() {
+          delete installedChunks[fileName];
+          reject(new Error("Loading chunk failed: " + fileName));
+        };
+        document.head.appendChild(script);
+      });
+    }
+    return installedChunks[fileName];
+  };
+
+${this.generateDynamicImportRuntime()}
+
+  // Chunks that loaded before the runtime, and any loaded later
+  var chunkRegistry = self.simpleBundlerChunks = self.simpleBundlerChunks || [];
+  chunkRegistry.forEach(installChunk);
+  chunkRegistry.push = installChunk;
+
+`.slice(1);
+    }
+
+    /**
+     * Generate the runtime function that registers the modules of a loaded chunk
+     */
+    generateInstallChunk() {
+        return `
+  // Register the modules of a loaded chunk
+  function installChunk(chunkModules) {
+    for (var moduleId in chunkModules) {
+      if (!modules[moduleId]) modules[moduleId] = chunkModules[moduleId];
+    }
+  }`.slice(1);
+    }
+
+    /**
+     * Generate require.dynamic, which import() calls become
+     */
+    generateDynamicImportRuntime() {
+        return `
+  // import(): load the chunks a module needs, then resolve with its exports
+  require.dynamic = function(moduleId) {
+    return Promise.all((chunkMap[moduleId] || []).map(require.loadChunk))
+      .then(function() { return ${this.asyncModules.size > 0 ? 'require.async' : 'require'}(moduleId); });
+  };`.slice(1);
+    }
+}
+
+/**
+ * Accumulates generated code while recording, for each mapped offset of
+ * the source, the generated line and column it ended up at
+ */
+class MappedOutput {
+    constructor(source) {
+        this.source = source;
+        this.code = '';
+        this.line = 0;
+        this.column = 0;
+        this.mappings = [];
+        this.lineStarts = source === null ? null : [0];
+
+        if (source !== null) {
+            for (let i = source.indexOf('\n'); i !== -1; i = source.indexOf('\n', i + 1)) {
+                this.lineStarts.push(i + 1);
+            }
+        }
+    }
+
+    append(text) {
+        this.code += text;
+
+        const lastNewline = text.lastIndexOf('\n');
+        if (lastNewline === -1) {
+            this.column += text.length;
+        } else {
+            this.line += text.split('\n').length - 1;
+            this.column = text.length - lastNewline - 1;
+        }
+    }
+
+    /**
+     * Record that the current output position comes from a source offset
+     */
+    map(offset) {
+        if (this.lineStarts === null) return;
+
+        // Binary search for the line containing the offset
+        let low = 0;
+        let high = this.lineStarts.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (this.lineStarts[mid] <= offset) low = mid;
+            else high = mid - 1;
+        }
+
+        this.mappings.push([this.line, this.column, low, offset - this.lineStarts[low]]);
+    }
 }
 
+/**
+ * Conditions matched in package.json exports, in browser bundle priority
+ */
+SimpleBundler.EXPORT_CONDITIONS = ['browser', 'import', 'module', 'default'];
+
+/**
+ * Supported values of output.format
+ */
+SimpleBundler.OUTPUT_FORMATS = ['iife', 'esm', 'cjs', 'umd'];
+
 /**
  * Print CLI usage information
  */
 function printUsage() {
     console.log('\nUsage:');
-    console.log('  node bundler.js [config-file]\n');
+    console.log('  node bundler.js [config-file] [options]');
+    console.log('  node bundler.js serve [config-file] [--port <port>]\n');
+    console.log('Commands:');
+    console.log('  serve          Start a dev server with hot module replacement (bundle kept in memory)\n');
     console.log('Arguments:');
-    console.log('  config-file  Path to config file (optional, defaults to ./bundler.config.js)\n');
+    console.log('  config-file    Path to config file (optional, defaults to ./bundler.config.js)\n');
+    console.log('Options:');
+    console.log('  -w, --watch    Rebuild when source files change');
+    console.log('  --port         Dev server port (defaults to 3000)');
+    console.log('  --no-strict    Only warn about missing modules and exports');
+    console.log('  --no-cache     Don\'t use the build cache, even if the config enables it');
+    console.log('  --clear-cache  Empty the build cache before building');
+    console.log('  --stats        Write stats.json and a stats.html report next to the bundle\n');
     console.log('Example:');
     console.log('  node bundler.js');
-    console.log('  node bundler.js my-config.js\n');
+    console.log('  node bundler.js my-config.js');
+    console.log('  node bundler.js --watch');
+    console.log('  node bundler.js serve --port 8080');
+    console.log('  node bundler.js --no-strict');
+    console.log('  node bundler.js --clear-cache');
+    console.log('  node bundler.js --stats\n');
 }
 
 /**
@@ -674,9 +4623,15 @@ function loadConfig(configPath) {
 /**
  * Main function to bundle a project
  */
-async function bundleProject(configPath) {
+async function bundleProject(configPath, { watch = false, strict = true, cache = true, clearCache = false, stats = false } = {}) {
     try {
-        const config = loadConfig(configPath);
+        // Create the bundler, the normalized config has the output path
+        const bundler = new SimpleBundler(applyCliOptions(loadConfig(configPath), { strict, cache, stats }));
+        const config = bundler.config;
+
+        if (clearCache) {
+            bundler.clearCache();
+        }
 
         // Create output directory if it doesn't exist
         const outputDir = path.dirname(config.output);
@@ -684,20 +4639,77 @@ async function bundleProject(configPath) {
             fs.mkdirSync(outputDir, { recursive: true });
         }
 
-        // Create and run bundler
-        const bundler = new SimpleBundler(config);
+        // In watch mode, keep rebuilding until the process is stopped
+        if (watch) {
+            const watcher = bundler.watch(config.output);
+            process.on('SIGINT', () => {
+                watcher.close();
+                process.exit(0);
+            });
+            return;
+        }
+
         await bundler.bundle(config.output);
 
         console.log(`\n✨ Bundle created successfully!`);
-        console.log(`   Entry: ${path.relative(process.cwd(), config.entry)}`);
+        console.log(`   Entry: ${config.entries.map(entry => path.relative(process.cwd(), entry.filePath)).join(', ')}`);
         console.log(`   Output: ${path.relative(process.cwd(), config.output)}\n`);
     } catch (error) {
         console.error('\n🚨 Bundling failed:');
-        console.error(`   ${error.message}\n`);
+        if (error.diagnostics) {
+            console.error(formatError(error, { color: Boolean(process.stderr.isTTY) }) + '\n');
+        } else {
+            console.error(`   ${error.message}\n`);
+        }
         process.exit(1);
     }
 }
 
+/**
+ * Apply command-line options on top of the config file
+ */
+function applyCliOptions(config, { strict, cache, stats }) {
+    return {
+        ...config,
+        ...(strict ? {} : { strict: false }),
+        ...(cache ? {} : { cache: false }),
+        ...(stats ? { stats: true } : {})
+    };
+}
+
+/**
+ * Start the dev server for a project
+ */
+function serveProject(configPath, { port, strict = true, cache = true, clearCache = false } = {}) {
+    const config = applyCliOptions(loadConfig(configPath), { strict, cache });
+    const devServer = config.devServer || {};
+    // Hot module replacement is on unless the config turns it off
+    const bundler = new SimpleBundler({ ...config, hmr: devServer.hmr !== false });
+    if (clearCache) {
+        bundler.clearCache();
+    }
+    const server = startDevServer(bundler, {
+        port: port || devServer.port || 3000
+    });
+    server.server.on('error', () => {
+        process.exitCode = 1;
+    });
+
+    process.on('SIGINT', () => {
+        server.close();
+        process.exit(0);
+    });
+}
+
+/**
+ * Read the value of a CLI option given as "--name value" or "--name=value"
+ */
+function getOptionValue(args, name) {
+    const index = args.findIndex(arg => arg === name || arg.startsWith(name + '='));
+    if (index === -1) return undefined;
+    return args[index].includes('=') ? args[index].split('=')[1] : args[index + 1];
+}
+
 // Handle command line arguments
 if (require.main === module) {
     const args = process.argv.slice(2);
@@ -708,8 +4720,26 @@ if (require.main === module) {
         process.exit(0);
     }
 
-    const configPath = args[0];
-    bundleProject(configPath);
+    const isServe = args[0] === 'serve';
+    const commandArgs = isServe ? args.slice(1) : args;
+    const port = getOptionValue(commandArgs, '--port');
+    const configPath = commandArgs.find(arg => !arg.startsWith('-') && arg !== port);
+
+    const strict = !args.includes('--no-strict');
+    const cache = !args.includes('--no-cache');
+    const clearCache = args.includes('--clear-cache');
+
+    if (isServe) {
+        serveProject(configPath, { port: port && Number(port), strict, cache, clearCache });
+    } else {
+        bundleProject(configPath, {
+            watch: args.includes('--watch') || args.includes('-w'),
+            strict,
+            cache,
+            clearCache,
+            stats: args.includes('--stats')
+        });
+    }
 }
 
 module.exports = SimpleBundler;
@@ -0,0 +1,86 @@
+/**
+ * Persistent build cache
+ *
+ * Results of the expensive steps of a build (transform hooks, parsing,
+ * analysis, minification) are kept as JSON files in a cache directory,
+ * keyed by a hash of everything they depend on. A warm build reads them
+ * back instead of doing the work again; an entry whose inputs changed is
+ * simply never looked up again, until the cache is cleared.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Bump when the shape of cache entries changes
+const CACHE_VERSION = 1;
+
+class BuildCache {
+    /**
+     * salt goes into every key: entries from a different bundler, config
+     * or set of plugins never match
+     */
+    constructor(dir, salt) {
+        this.dir = dir;
+        this.salt = `${CACHE_VERSION}\0${salt}`;
+    }
+
+    /**
+     * Hash strings and JSON values into a key
+     */
+    key(...parts) {
+        const hash = crypto.createHash('sha256').update(this.salt);
+        for (const part of parts) {
+            hash.update('\0');
+            hash.update(typeof part === 'string' ? part : String(JSON.stringify(part)));
+        }
+        return hash.digest('hex');
+    }
+
+    /**
+     * Read an entry; missing or unreadable entries are misses (null)
+     */
+    get(namespace, key) {
+        try {
+            return JSON.parse(fs.readFileSync(this.getEntryPath(namespace, key), 'utf-8'));
+        } catch (err) {
+            return null;
+        }
+    }
+
+    /**
+     * Write an entry. The file is renamed into place, so a build that is
+     * stopped halfway never leaves a truncated entry behind; a cache that
+     * can't be written only costs the next build its speed-up
+     */
+    set(namespace, key, value) {
+        const entryPath = this.getEntryPath(namespace, key);
+        const tempPath = `${entryPath}.${process.pid}.tmp`;
+        try {
+            fs.mkdirSync(path.dirname(entryPath), { recursive: true });
+            // BigInt literal values can't be serialized, their node keeps the raw digits
+            fs.writeFileSync(tempPath, JSON.stringify(value, (name, item) =>
+                typeof item === 'bigint' ? undefined : item
+            ));
+            fs.renameSync(tempPath, entryPath);
+        } catch (err) {
+            fs.rmSync(tempPath, { force: true });
+        }
+    }
+
+    /**
+     * Delete every entry
+     */
+    clear() {
+        fs.rmSync(this.dir, { recursive: true, force: true });
+    }
+
+    /**
+     * Entries are spread over subdirectories by the start of their key
+     */
+    getEntryPath(namespace, key) {
+        return path.join(this.dir, namespace, key.slice(0, 2), `${key}.json`);
+    }
+}
+
+module.exports = { BuildCache };
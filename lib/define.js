@@ -0,0 +1,292 @@
+/**
+ * Compile-time constants ("define")
+ *
+ * Global expressions such as process.env.NODE_ENV or __DEV__ are replaced
+ * by the code configured for them, found through the AST so that local
+ * variables of the same name and property keys are left alone. Tests of
+ * if statements and conditional expressions that become constant are then
+ * folded: the branch that can't run is dropped from the AST (so imports in
+ * it are never followed) and from the output.
+ */
+
+const acorn = require('acorn');
+const walk = require('acorn-walk');
+const { analyzeScope } = require('./scope');
+
+const DEFINE_KEY = /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/;
+
+/**
+ * Validate a define config: keys are dotted names, values code (a string)
+ * or a JSON value that is turned into code
+ */
+function normalizeDefines(define = {}) {
+    const defines = {};
+    for (const [key, value] of Object.entries(define)) {
+        if (!DEFINE_KEY.test(key)) {
+            throw new Error(`define keys must be names such as "__DEV__" or "process.env.NODE_ENV", got "${key}"`);
+        }
+
+        const code = typeof value === 'string' ? value : JSON.stringify(value);
+        try {
+            parseValue(code);
+        } catch (err) {
+            throw new Error(`define value for "${key}" is not a valid expression: ${code}`);
+        }
+        defines[key] = code;
+    }
+    return defines;
+}
+
+/**
+ * Parse the code of a define value; it has to be a single expression
+ */
+function parseValue(code) {
+    const expression = acorn.parseExpressionAt(code, 0, { ecmaVersion: 2020 });
+    if (code.slice(expression.end).trim() !== '') {
+        throw new Error('Unexpected code after the expression');
+    }
+    return expression;
+}
+
+/**
+ * The dotted name of an identifier or a chain of static member accesses
+ * (a.b.c, a["b"]), or null
+ */
+function getChainName(node) {
+    if (node.type === 'Identifier') return node.name;
+    if (node.type !== 'MemberExpression' || node.optional) return null;
+
+    const object = getChainName(node.object);
+    if (object === null) return null;
+    if (!node.computed) return `${object}.${node.property.name}`;
+    return node.property.type === 'Literal' && typeof node.property.value === 'string'
+        ? `${object}.${node.property.value}`
+        : null;
+}
+
+/**
+ * The identifier a chain of member accesses starts with
+ */
+function getChainRoot(node) {
+    return node.type === 'MemberExpression' ? getChainRoot(node.object) : node;
+}
+
+/**
+ * Evaluate an expression made of constants; returns { value }, or null
+ * when its value isn't known at build time
+ */
+function evaluateConstant(node) {
+    switch (node.type) {
+        case 'Literal':
+            return node.regex || node.bigint ? null : { value: node.value };
+
+        case 'TemplateLiteral':
+            return node.expressions.length === 0 ? { value: node.quasis[0].value.cooked } : null;
+
+        case 'UnaryExpression': {
+            const argument = evaluateConstant(node.argument);
+            if (!argument) return null;
+            switch (node.operator) {
+                case '!': return { value: !argument.value };
+                case '-': return { value: -argument.value };
+                case '+': return { value: +argument.value };
+                case 'void': return { value: undefined };
+                case 'typeof': return { value: typeof argument.value };
+                default: return null;
+            }
+        }
+
+        case 'BinaryExpression': {
+            const left = evaluateConstant(node.left);
+            const right = left && evaluateConstant(node.right);
+            if (!right) return null;
+            switch (node.operator) {
+                case '===': return { value: left.value === right.value };
+                case '!==': return { value: left.value !== right.value };
+                // Loose equality on purpose: it is what the evaluated code does
+                case '==': return { value: left.value == right.value };
+                case '!=': return { value: left.value != right.value };
+                case '<': return { value: left.value < right.value };
+                case '<=': return { value: left.value <= right.value };
+                case '>': return { value: left.value > right.value };
+                case '>=': return { value: left.value >= right.value };
+                case '+': return { value: left.value + right.value };
+                default: return null;
+            }
+        }
+
+        case 'LogicalExpression': {
+            // The right side only matters when the left one doesn't decide
+            const left = evaluateConstant(node.left);
+            if (!left) return null;
+            if (node.operator === '&&') return left.value ? evaluateConstant(node.right) : left;
+            if (node.operator === '||') return left.value ? left : evaluateConstant(node.right);
+            return left.value !== null && left.value !== undefined ? left : evaluateConstant(node.right);
+        }
+
+        case 'ConditionalExpression': {
+            const test = evaluateConstant(node.test);
+            return test && evaluateConstant(test.value ? node.consequent : node.alternate);
+        }
+
+        default:
+            return null;
+    }
+}
+
+/**
+ * Put a node in place of another in the tree
+ */
+function replaceChild(parent, node, replacement) {
+    for (const key of Object.keys(parent)) {
+        if (parent[key] === node) {
+            parent[key] = replacement;
+        } else if (Array.isArray(parent[key])) {
+            const index = parent[key].indexOf(node);
+            if (index !== -1) parent[key][index] = replacement;
+        }
+    }
+}
+
+/**
+ * Give every node of a subtree the position of the code it stands in for
+ */
+function moveTo(node, { start, end, loc }) {
+    walk.full(node, (child) => {
+        child.start = start;
+        child.end = end;
+        if (loc) child.loc = loc;
+    });
+    return node;
+}
+
+/**
+ * Replace the defined expressions of a module and drop the branches that
+ * can't run. The AST is changed in place; the edits that do the same to
+ * the module's code are returned as { start, end, replacement }
+ */
+function applyDefines(ast, defines) {
+    const keys = Object.keys(defines);
+    if (keys.length === 0) return [];
+
+    // Only identifiers that refer to globals can be defined ones
+    const { globalReferences } = analyzeScope(ast);
+    const globalRoots = new Set(globalReferences.filter(node => keys.some(key => key.split('.')[0] === node.name)));
+    if (globalRoots.size === 0) return [];
+
+    const matches = new Map();
+    walk.fullAncestor(ast, (node, state, ancestors) => {
+        if (node.type !== 'Identifier' && node.type !== 'MemberExpression') return;
+        const name = getChainName(node);
+        if (name === null || !Object.prototype.hasOwnProperty.call(defines, name)) return;
+        if (!globalRoots.has(getChainRoot(node))) return;
+
+        const parent = ancestors[ancestors.length - 2];
+        // Assigning to a defined name keeps it
+        if (parent && ((parent.type === 'AssignmentExpression' && parent.left === node) ||
+            parent.type === 'UpdateExpression' ||
+            (parent.type === 'UnaryExpression' && parent.operator === 'delete'))) return;
+
+        // The member accesses this chain is the start of
+        const outer = [];
+        for (let index = ancestors.length - 2; index >= 0; index--) {
+            const ancestor = ancestors[index];
+            if (ancestor.type !== 'MemberExpression' || ancestor.object !== ancestors[index + 1]) break;
+            outer.push(ancestor);
+        }
+        matches.set(node, { parent, name, outer });
+    });
+
+    const edits = [];
+    const replaced = new Set();
+    for (const [node, { parent, name, outer }] of matches) {
+        // The outermost defined chain wins: with both a.b and a.b.c defined, a.b.c is replaced whole
+        if (outer.some(ancestor => matches.has(ancestor))) continue;
+
+        const code = defines[name];
+        const value = moveTo(parseValue(code), node);
+        const isSimple = value.type === 'Literal' || value.type === 'Identifier';
+        let replacement = isSimple ? code : `(${code})`;
+
+        // { __DEV__ } becomes { __DEV__: false }
+        if (parent.type === 'Property' && parent.shorthand && parent.value === node) {
+            parent.shorthand = false;
+            replacement = `${node.name}: ${replacement}`;
+        }
+
+        replaceChild(parent, node, value);
+        replaced.add(value);
+        edits.push({ start: node.start, end: node.end, replacement });
+    }
+
+    if (replaced.size === 0) return [];
+    return edits.concat(foldBranches(ast, replaced)).filter((edit, index, all) =>
+        // Replacements inside dropped code go with it
+        !all.some(other => other !== edit && other.removes && other.start <= edit.start && edit.end <= other.end)
+    ).map(({ start, end, replacement }) => ({ start, end, replacement }));
+}
+
+/**
+ * Drop the branch that can't run from if statements and conditional
+ * expressions whose test became constant through a defined value
+ */
+function foldBranches(ast, replaced) {
+    const edits = [];
+    const usesDefine = (node) => {
+        let found = false;
+        walk.full(node, (child) => {
+            if (replaced.has(child)) found = true;
+        });
+        return found;
+    };
+    const getKnownTest = (node) => usesDefine(node.test) ? evaluateConstant(node.test) : null;
+
+    // The code around the branch that is kept goes, the branch itself stays in place
+    const keep = (node, branch, before, after) => {
+        edits.push({ start: node.start, end: branch.start, replacement: before, removes: true });
+        if (branch.end < node.end || after) {
+            edits.push({ start: branch.end, end: node.end, replacement: after, removes: true });
+        }
+    };
+
+    // Top down, so nothing in a dropped branch is looked at
+    const visit = (node) => {
+        if (node.type === 'IfStatement') {
+            const test = getKnownTest(node);
+            if (test) {
+                const branch = test.value ? node.consequent : node.alternate;
+                if (!branch) {
+                    edits.push({ start: node.start, end: node.end, replacement: ';', removes: true });
+                    return { type: 'EmptyStatement', start: node.start, end: node.end, loc: node.loc };
+                }
+                keep(node, branch, '', '');
+                return visit(branch);
+            }
+        } else if (node.type === 'ConditionalExpression') {
+            const test = getKnownTest(node);
+            if (test) {
+                const branch = test.value ? node.consequent : node.alternate;
+                keep(node, branch, '(', ')');
+                return visit(branch);
+            }
+        }
+
+        for (const key of Object.keys(node)) {
+            if (key === 'loc') continue;
+            const child = node[key];
+            if (Array.isArray(child)) {
+                child.forEach((item, index) => {
+                    if (item && typeof item.type === 'string') child[index] = visit(item);
+                });
+            } else if (child && typeof child.type === 'string') {
+                node[key] = visit(child);
+            }
+        }
+        return node;
+    };
+
+    visit(ast);
+    return edits;
+}
+
+module.exports = { normalizeDefines, applyDefines, evaluateConstant };
@@ -0,0 +1,277 @@
+/**
+ * Development server with live reload
+ *
+ * Serves the bundle from memory (it is never written to disk), then the
+ * output directory and the project root as static files. HTML pages get a
+ * small client snippet that listens for Server-Sent Events: the page
+ * reloads after every rebuild and shows an overlay when the build fails.
+ * With hot module replacement, a rebuild sends the page a script with the
+ * modules that changed instead, and the bundle's runtime swaps them in.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const EVENTS_PATH = '/__simple_bundler/events';
+const HOT_UPDATE_PATH = '/__simple_bundler/hot-update';
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.mjs': 'application/javascript; charset=utf-8',
+    '.map': 'application/json; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.ico': 'image/x-icon',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.txt': 'text/plain; charset=utf-8'
+};
+
+/**
+ * Client snippet injected into served HTML pages
+ */
+const CLIENT_SCRIPT = `
+<script>
+(function() {
+  var overlay = null;
+
+  function hideOverlay() {
+    if (overlay) overlay.remove();
+    overlay = null;
+  }
+
+  function showOverlay(error) {
+    hideOverlay();
+    overlay = document.createElement('div');
+    overlay.style.cssText = 'position:fixed;inset:0;z-index:2147483647;overflow:auto;' +
+      'background:rgba(20,20,20,0.92);color:#f8f8f8;font:14px/1.5 Menlo,Consolas,monospace;padding:32px;';
+
+    var title = document.createElement('div');
+    title.style.cssText = 'color:#ff6b6b;font-size:18px;font-weight:bold;margin-bottom:16px;';
+    title.textContent = 'Build failed' + (error.file ? ' in ' + error.file : '');
+
+    var message = document.createElement('pre');
+    message.style.cssText = 'white-space:pre-wrap;margin:0;';
+    message.textContent = error.message;
+
+    var hint = document.createElement('div');
+    hint.style.cssText = 'margin-top:24px;opacity:0.6;';
+    hint.textContent = 'Fix the error and save: the page will reload automatically.';
+
+    overlay.appendChild(title);
+    overlay.appendChild(message);
+    overlay.appendChild(hint);
+    document.body.appendChild(overlay);
+  }
+
+  var events = new EventSource('${EVENTS_PATH}');
+  events.addEventListener('reload', function() {
+    location.reload();
+  });
+  // The update script applies itself, and reloads the page if it can't
+  events.addEventListener('hot-update', function(event) {
+    var script = document.createElement('script');
+    script.src = JSON.parse(event.data).url;
+    script.onload = function() { script.remove(); };
+    script.onerror = function() { location.reload(); };
+    document.head.appendChild(script);
+  });
+  events.addEventListener('build-error', function(event) {
+    showOverlay(JSON.parse(event.data));
+  });
+  events.addEventListener('build-ok', hideOverlay);
+})();
+</script>
+`;
+
+/**
+ * Start a dev server for a bundler instance, serving files from the project's
+ * cwd unless another root is given
+ * Returns the http.Server (already listening) and a close() helper; when the
+ * server can't listen, the watcher is stopped and the error logged
+ */
+function startDevServer(bundler, { port = 3000, root = bundler.config.cwd } = {}) {
+    const { logger } = bundler.config;
+    const outputDir = path.dirname(bundler.config.output);
+    const clients = new Set();
+
+    // The in-memory bundle, reachable both from the root and from the output dir
+    const memoryFiles = new Map();
+    let buildError = null;
+    // Only the latest hot update is kept, a page that misses one reloads
+    let hotUpdateCount = 0;
+    let hotUpdateUrl = null;
+
+    const setMemoryFile = (fileName, content) => {
+        memoryFiles.set(toUrlPath(root, path.join(outputDir, fileName)), content);
+        memoryFiles.set('/' + fileName, content);
+    };
+
+    const broadcast = (event, data = {}) => {
+        for (const client of clients) {
+            sendEvent(client, event, data);
+        }
+    };
+
+    const watcher = bundler.watch(null, {
+        onBuild({ fileName, code, map, chunks, assets, manifest, hotUpdate }) {
+            const hadError = buildError !== null;
+            buildError = null;
+
+            setMemoryFile('manifest.json', JSON.stringify(manifest, null, 2));
+
+            for (const file of [{ fileName, code, map }, ...chunks]) {
+                setMemoryFile(file.fileName, file.code);
+                if (file.map && bundler.config.sourceMap !== 'inline') {
+                    setMemoryFile(file.fileName + '.map', JSON.stringify(file.map));
+                }
+            }
+
+            for (const asset of assets) {
+                setMemoryFile(asset.fileName, asset.source);
+            }
+
+            if (hadError) broadcast('build-ok');
+
+            if (!hotUpdate) {
+                broadcast('reload');
+            } else if (hotUpdate.modules.length > 0) {
+                memoryFiles.delete(hotUpdateUrl);
+                hotUpdateUrl = `${HOT_UPDATE_PATH}/${++hotUpdateCount}.js`;
+                memoryFiles.set(hotUpdateUrl, hotUpdate.code);
+                broadcast('hot-update', { url: hotUpdateUrl, modules: hotUpdate.modules });
+            }
+        },
+        onError(err) {
+            buildError = {
+                message: err.message,
+                file: err.filePath ? path.relative(root, err.filePath) : null
+            };
+            broadcast('build-error', buildError);
+        }
+    });
+
+    const server = http.createServer((req, res) => {
+        let urlPath;
+        try {
+            urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+        } catch (err) {
+            // Malformed percent-encoding
+            res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+            return res.end('Bad request');
+        }
+
+        // Live reload event stream
+        if (urlPath === EVENTS_PATH) {
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive'
+            });
+            res.write(': connected\n\n');
+            clients.add(res);
+            req.on('close', () => clients.delete(res));
+
+            // A page loaded while the build is broken gets the overlay right away
+            if (buildError) sendEvent(res, 'build-error', buildError);
+            return;
+        }
+
+        // The bundle itself is only ever served from memory, as are pages
+        // written from HTML entries
+        const memoryPath = urlPath.endsWith('/') ? urlPath + 'index.html' : urlPath;
+        if (memoryFiles.has(memoryPath)) {
+            return sendContent(res, memoryPath, memoryFiles.get(memoryPath));
+        }
+
+        // Static files: the output directory first, then the project root
+        for (const baseDir of [outputDir, root]) {
+            const filePath = resolveStaticFile(baseDir, urlPath);
+            if (filePath) {
+                return sendContent(res, filePath, fs.readFileSync(filePath));
+            }
+        }
+
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end(`Not found: ${urlPath}`);
+    });
+
+    server.on('error', (err) => {
+        watcher.close();
+        logger.error(err.code === 'EADDRINUSE'
+            ? `Dev server could not start: port ${port} is already in use`
+            : `Dev server could not start: ${err.message}`);
+    });
+
+    server.listen(port, () => {
+        logger.log(`\n🚀 Dev server running at http://localhost:${server.address().port}/\n`);
+    });
+
+    return {
+        server,
+        close() {
+            watcher.close();
+            for (const client of clients) {
+                client.end();
+            }
+            server.close();
+        }
+    };
+}
+
+/**
+ * Map a file inside the project root to the URL it is served at
+ */
+function toUrlPath(root, filePath) {
+    return '/' + path.relative(root, filePath).split(path.sep).join('/');
+}
+
+/**
+ * Find the file for a URL inside a directory, refusing to leave it
+ */
+function resolveStaticFile(baseDir, urlPath) {
+    let filePath = path.join(baseDir, urlPath);
+    if (filePath !== baseDir && !filePath.startsWith(baseDir + path.sep)) return null;
+
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+        filePath = path.join(filePath, 'index.html');
+    }
+
+    return fs.existsSync(filePath) && fs.statSync(filePath).isFile() ? filePath : null;
+}
+
+/**
+ * Send a file's content, injecting the live reload client into HTML pages
+ */
+function sendContent(res, filePath, content) {
+    const extension = path.extname(filePath);
+
+    if (extension === '.html') {
+        const html = content.toString();
+        content = html.includes('</body>')
+            ? html.replace('</body>', CLIENT_SCRIPT + '</body>')
+            : html + CLIENT_SCRIPT;
+    }
+
+    res.writeHead(200, {
+        'Content-Type': MIME_TYPES[extension] || 'application/octet-stream',
+        'Cache-Control': 'no-cache'
+    });
+    res.end(content);
+}
+
+/**
+ * Write a single Server-Sent Event
+ */
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+module.exports = { startDevServer };
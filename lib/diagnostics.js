@@ -0,0 +1,149 @@
+/**
+ * Build diagnostics: errors and warnings tied to a place in a source file
+ *
+ * Problems found while bundling are collected instead of printed right
+ * away, so a build can report all of them at once, each with a code frame
+ * showing the offending line. Errors fail the build through a BuildError
+ * that carries them.
+ */
+
+const path = require('path');
+
+const COLORS = {
+    red: '\x1b[31m',
+    yellow: '\x1b[33m',
+    gray: '\x1b[90m',
+    bold: '\x1b[1m',
+    reset: '\x1b[0m'
+};
+
+/**
+ * A failed build; diagnostics holds every error that was found, and the
+ * message shows their paths relative to cwd
+ */
+class BuildError extends Error {
+    constructor(diagnostics, { cwd } = {}) {
+        super(diagnostics.map(diagnostic => formatDiagnostic(diagnostic, { cwd })).join('\n\n'));
+        this.name = 'BuildError';
+        this.diagnostics = diagnostics;
+        // The first file with an error, like other build errors carry
+        this.filePath = diagnostics[0] && diagnostics[0].filePath;
+    }
+}
+
+/**
+ * Collects the diagnostics of a build
+ */
+class Diagnostics {
+    constructor() {
+        this.items = [];
+    }
+
+    /**
+     * Record a problem; location is { filePath, source, offset } or
+     * { filePath, source, line, column } (1-based line, 0-based column)
+     */
+    add(severity, message, location = {}) {
+        const { filePath = null, source = null } = location;
+        let { line = null, column = null } = location;
+        if (location.offset !== undefined && source !== null) {
+            ({ line, column } = getLineAndColumn(source, location.offset));
+        }
+
+        const diagnostic = { severity, message, filePath, line, column, source };
+        this.items.push(diagnostic);
+        return diagnostic;
+    }
+
+    /**
+     * Record an error, which fails the build
+     */
+    error(message, location) {
+        return this.add('error', message, location);
+    }
+
+    /**
+     * Record a warning
+     */
+    warn(message, location) {
+        return this.add('warning', message, location);
+    }
+
+    get errors() {
+        return this.items.filter(diagnostic => diagnostic.severity === 'error');
+    }
+
+    get warnings() {
+        return this.items.filter(diagnostic => diagnostic.severity === 'warning');
+    }
+
+    clear() {
+        this.items = [];
+    }
+}
+
+/**
+ * Turn an offset into a 1-based line and 0-based column
+ */
+function getLineAndColumn(source, offset) {
+    const before = source.slice(0, offset).split('\n');
+    return { line: before.length, column: before[before.length - 1].length };
+}
+
+/**
+ * Show the lines around a position, with a marker under the column
+ */
+function createCodeFrame(source, line, column, { color = false, contextLines = 2 } = {}) {
+    const paint = (code, text) => color ? COLORS[code] + text + COLORS.reset : text;
+    const lines = source.split('\n');
+    const first = Math.max(1, line - contextLines);
+    const last = Math.min(lines.length, line + contextLines);
+    const gutterWidth = String(last).length;
+
+    const frame = [];
+    for (let number = first; number <= last; number++) {
+        const isErrorLine = number === line;
+        const gutter = `${isErrorLine ? '>' : ' '} ${String(number).padStart(gutterWidth)} | `;
+        const text = lines[number - 1].replace(/\t/g, '    ');
+        frame.push(isErrorLine ? paint('bold', gutter) + text : paint('gray', gutter + text));
+
+        if (isErrorLine && column !== null) {
+            // Tabs before the column were widened like the line itself
+            const indent = lines[number - 1].slice(0, column).replace(/\t/g, '    ').length;
+            frame.push(paint('gray', `  ${' '.repeat(gutterWidth)} | `) + ' '.repeat(indent) + paint('red', '^'));
+        }
+    }
+    return frame.join('\n');
+}
+
+/**
+ * Format a diagnostic for the terminal: severity, message, location and code frame
+ */
+function formatDiagnostic(diagnostic, { color = false, cwd = process.cwd() } = {}) {
+    const paint = (code, text) => color ? COLORS[code] + text + COLORS.reset : text;
+    const label = diagnostic.severity === 'error' ? paint('red', 'Error') : paint('yellow', 'Warning');
+    let output = `${label}: ${diagnostic.message}`;
+
+    if (diagnostic.filePath) {
+        const file = path.isAbsolute(diagnostic.filePath)
+            ? path.relative(cwd, diagnostic.filePath)
+            : diagnostic.filePath;
+        const position = diagnostic.line !== null ? `:${diagnostic.line}:${diagnostic.column + 1}` : '';
+        output += `\n  at ${file}${position}`;
+    }
+    if (diagnostic.source !== null && diagnostic.line !== null) {
+        output += '\n\n' + createCodeFrame(diagnostic.source, diagnostic.line, diagnostic.column, { color });
+    }
+    return output;
+}
+
+/**
+ * Format any error a build can fail with: build errors with their code frames
+ */
+function formatError(err, options = {}) {
+    return err.diagnostics
+        ? err.diagnostics.map(diagnostic => formatDiagnostic(diagnostic, options)).join('\n\n')
+        : err.message;
+}
+
+module.exports = { Diagnostics, BuildError, createCodeFrame, formatDiagnostic, formatError, getLineAndColumn };
@@ -0,0 +1,158 @@
+/**
+ * HTML entries
+ *
+ * An HTML page can be an entry: its <script type="module" src> tags name
+ * the JavaScript entries, and a copy of the page is written next to the
+ * bundle with those tags pointing at the files the build wrote (hashed
+ * names included), stylesheets and preload hints added to its head, and
+ * the other relative URLs in it adjusted to its new location.
+ */
+
+const SCRIPT_TAG = /<script\b([^>]*)>([\s\S]*?)<\/script\s*>/gi;
+const START_TAG = /<[a-zA-Z][^\s/>]*(?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*\s*\/?>/g;
+const ATTRIBUTE = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+const URL_ATTRIBUTE = /(\s(?:src|href)\s*=\s*)(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+))/gi;
+
+/**
+ * The attributes of a tag, as [name, value] pairs in the order they appear;
+ * attributes without a value have the value true
+ */
+function parseAttributes(text) {
+    const attributes = [];
+    for (const match of text.matchAll(ATTRIBUTE)) {
+        const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+        attributes.push([match[1].toLowerCase(), value === undefined ? true : decodeEntities(value)]);
+    }
+    return attributes;
+}
+
+/**
+ * Render attributes parsed by parseAttributes back into tag text
+ */
+function renderAttributes(attributes) {
+    return attributes
+        .map(([name, value]) => value === true ? ` ${name}` : ` ${name}="${escapeAttribute(value)}"`)
+        .join('');
+}
+
+function decodeEntities(value) {
+    return value.replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+function escapeAttribute(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Ranges of the page that aren't markup: comments, and the content of
+ * script and style elements
+ */
+function findRawRanges(html) {
+    const ranges = [];
+    for (const match of html.matchAll(/<!--[\s\S]*?(?:-->|$)/g)) {
+        ranges.push({ start: match.index, end: match.index + match[0].length });
+    }
+    for (const match of html.matchAll(/(<(script|style)\b[^>]*>)([\s\S]*?)<\/\2\s*>/gi)) {
+        const start = match.index + match[1].length;
+        ranges.push({ start, end: start + match[3].length });
+    }
+    return ranges;
+}
+
+/**
+ * The <script type="module" src> tags of a page, with their position, the
+ * indentation of their line and their other attributes
+ */
+function findModuleScripts(html) {
+    const comments = findRawRanges(html).filter(range => html.startsWith('<!--', range.start));
+    const scripts = [];
+    for (const match of html.matchAll(SCRIPT_TAG)) {
+        if (comments.some(range => match.index >= range.start && match.index < range.end)) continue;
+
+        const attributes = parseAttributes(match[1]);
+        const type = attributes.find(([name]) => name === 'type');
+        const src = attributes.find(([name]) => name === 'src');
+        if (!type || type[1] !== 'module' || !src || typeof src[1] !== 'string') continue;
+
+        const lineStart = html.lastIndexOf('\n', match.index - 1) + 1;
+        const indent = html.slice(lineStart, match.index);
+        scripts.push({
+            start: match.index,
+            end: match.index + match[0].length,
+            indent: /^[ \t]*$/.test(indent) ? indent : '',
+            src: src[1],
+            attributes: attributes.filter(([name]) => name !== 'type' && name !== 'src')
+        });
+    }
+    return scripts;
+}
+
+/**
+ * Check if a URL points at another host (absolute or protocol-relative)
+ */
+function isRemoteUrl(url) {
+    return /^(?:[a-z][a-z\d+.-]*:|\/\/)/i.test(url);
+}
+
+/**
+ * Check if a URL points at a file relative to the page
+ */
+function isRelativeUrl(url) {
+    return url !== '' && !/^(?:[a-z][a-z\d+.-]*:|\/|#|\?)/i.test(url);
+}
+
+/**
+ * Write the page for the output: replaceScript returns the tags that take
+ * the place of a module script (or null to keep it), head is added at the
+ * end of <head>, and relative URLs of src and href attributes elsewhere go
+ * through rewriteUrl
+ */
+function transformHtml(html, { replaceScript, head, rewriteUrl }) {
+    const edits = [];
+    const scripts = [];
+    for (const script of findModuleScripts(html)) {
+        const text = replaceScript(script);
+        if (text === null) continue;
+        scripts.push(script);
+        edits.push({ start: script.start, end: script.end, text });
+    }
+    const rawRanges = findRawRanges(html);
+
+    const isSkipped = (index) =>
+        rawRanges.some(range => index >= range.start && index < range.end) ||
+        scripts.some(script => index >= script.start && index < script.end);
+
+    for (const tag of html.matchAll(START_TAG)) {
+        if (isSkipped(tag.index)) continue;
+        for (const attribute of tag[0].matchAll(URL_ATTRIBUTE)) {
+            const value = attribute[2] !== undefined ? attribute[2] : attribute[3] !== undefined ? attribute[3] : attribute[4];
+            const url = decodeEntities(value);
+            if (!isRelativeUrl(url)) continue;
+
+            const start = tag.index + attribute.index;
+            edits.push({
+                start,
+                end: start + attribute[0].length,
+                text: `${attribute[1]}"${escapeAttribute(rewriteUrl(url))}"`
+            });
+        }
+    }
+
+    // Stylesheets and preload hints go at the end of <head>; without one,
+    // before <body> (where the browser puts them in the head it makes up)
+    if (head) {
+        const headEnd = [...html.matchAll(/<\/head\s*>|<body\b/gi)].find(match => !isSkipped(match.index));
+        const index = headEnd ? headEnd.index : 0;
+        edits.push({ start: index, end: index, text: head });
+    }
+
+    let output = '';
+    let offset = 0;
+    for (const edit of edits.sort((a, b) => a.start - b.start || a.end - b.end)) {
+        output += html.slice(offset, edit.start) + edit.text;
+        offset = edit.end;
+    }
+    return output + html.slice(offset);
+}
+
+module.exports = { findModuleScripts, transformHtml, renderAttributes, escapeAttribute, isRemoteUrl, isRelativeUrl };
@@ -0,0 +1,163 @@
+/**
+ * Loaders for files that aren't JavaScript
+ *
+ * A loader turns a file's raw content into the source of an ES module,
+ * which then goes through the same pipeline as any other module. Work
+ * that happens at build time instead, such as writing an asset file or
+ * collecting extracted CSS, goes through callbacks in the context.
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Loaders used for each file extension unless configured otherwise;
+ * files with any other extension are treated as JavaScript
+ */
+const DEFAULT_LOADERS = {
+    '.js': 'js',
+    '.mjs': 'js',
+    '.cjs': 'js',
+    '.json': 'json',
+    '.css': 'css',
+    '.txt': 'text',
+    '.md': 'text',
+    '.png': 'asset',
+    '.jpg': 'asset',
+    '.jpeg': 'asset',
+    '.gif': 'asset',
+    '.svg': 'asset',
+    '.webp': 'asset',
+    '.avif': 'asset',
+    '.ico': 'asset',
+    '.woff': 'asset',
+    '.woff2': 'asset',
+    '.ttf': 'asset',
+    '.otf': 'asset',
+    '.eot': 'asset'
+};
+
+const MIME_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.ico': 'image/x-icon',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf',
+    '.otf': 'font/otf',
+    '.eot': 'application/vnd.ms-fontobject'
+};
+
+// Keys that can't be used as the name of an exported binding
+const RESERVED_WORDS = new Set([
+    'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger',
+    'default', 'delete', 'do', 'else', 'enum', 'export', 'extends', 'false',
+    'finally', 'for', 'function', 'if', 'implements', 'import', 'in', 'instanceof',
+    'interface', 'let', 'new', 'null', 'package', 'private', 'protected', 'public',
+    'return', 'static', 'super', 'switch', 'this', 'throw', 'true', 'try',
+    'typeof', 'var', 'void', 'while', 'with', 'yield', 'arguments', 'eval'
+]);
+
+/**
+ * JSON: the parsed value is the default export, and top-level keys that
+ * are valid names are named exports as well (so unused ones can be shaken out)
+ */
+function jsonLoader(content) {
+    let value;
+    try {
+        value = JSON.parse(content.toString('utf-8'));
+    } catch (err) {
+        throw new Error(`Invalid JSON: ${err.message}`);
+    }
+
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        return `export default ${JSON.stringify(value)};\n`;
+    }
+
+    let code = '';
+    const properties = [];
+    for (const [key, propertyValue] of Object.entries(value)) {
+        if (/^[A-Za-z_$][\w$]*$/.test(key) && !RESERVED_WORDS.has(key)) {
+            code += `export const ${key} = ${JSON.stringify(propertyValue)};\n`;
+            properties.push(key);
+        } else {
+            // A literal "__proto__" key would set the prototype instead
+            const propertyKey = key === '__proto__' ? `["__proto__"]` : JSON.stringify(key);
+            properties.push(`${propertyKey}: ${JSON.stringify(propertyValue)}`);
+        }
+    }
+
+    return code + `export default { ${properties.join(', ')} };\n`;
+}
+
+/**
+ * Text: the file's content as a string
+ */
+function textLoader(content) {
+    return `export default ${JSON.stringify(content.toString('utf-8'))};\n`;
+}
+
+/**
+ * CSS: injected with a <style> tag when the module runs, or handed to
+ * extractStyles to end up in a .css file next to the chunk
+ */
+function cssLoader(content, context) {
+    const css = content.toString('utf-8');
+
+    if (context.cssMode === 'extract') {
+        context.extractStyles(css);
+        return '';
+    }
+
+    return [
+        `const css = ${JSON.stringify(css)};`,
+        `if (typeof document !== 'undefined') {`,
+        `    const style = document.createElement('style');`,
+        `    style.textContent = css;`,
+        `    document.head.appendChild(style);`,
+        // A new version replaces the old style tag instead of updating importers
+        ...(context.hmr ? [
+            `    import.meta.hot.accept();`,
+            `    import.meta.hot.dispose(() => style.remove());`
+        ] : []),
+        `}`,
+        `export default css;`,
+        ''
+    ].join('\n');
+}
+
+/**
+ * Images, fonts and other binary files: the default export is a URL,
+ * a data URL below the inline limit, otherwise that of an emitted file
+ * named after a hash of its content. Emitted files are under the public
+ * path the runtime read when the bundle started (modules of lazily loaded
+ * chunks run after their script, so they couldn't find it themselves)
+ */
+function assetLoader(content, context) {
+    const extension = path.extname(context.filePath);
+
+    if (content.length < context.inlineLimit) {
+        const mimeType = MIME_TYPES[extension.toLowerCase()] || 'application/octet-stream';
+        return `export default ${JSON.stringify(`data:${mimeType};base64,${content.toString('base64')}`)};\n`;
+    }
+
+    const hash = crypto.createHash('sha256').update(content).digest('hex').slice(0, 8);
+    const fileName = `${path.basename(context.filePath, extension)}.${hash}${extension}`;
+    context.emitAsset(fileName, content);
+
+    return `export default require.publicPath + ${JSON.stringify(fileName)};\n`;
+}
+
+const LOADERS = {
+    json: jsonLoader,
+    text: textLoader,
+    css: cssLoader,
+    asset: assetLoader
+};
+
+module.exports = { DEFAULT_LOADERS, LOADERS };
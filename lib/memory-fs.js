@@ -0,0 +1,91 @@
+/**
+ * In-memory file system
+ *
+ * Stands in for the parts of the fs module the bundler uses, over a map of
+ * file paths to contents, so a build can run without touching the disk:
+ * sources are read from the map and output files are written into it.
+ * Directories exist implicitly, as the parents of the files.
+ */
+
+const path = require('path');
+
+class MemoryFileSystem {
+    /**
+     * files maps paths (relative ones are relative to cwd) to contents,
+     * strings or Buffers
+     */
+    constructor(files = {}, cwd = '/') {
+        this.cwd = cwd;
+        this.files = new Map();
+        this.dirs = new Set();
+        for (const [filePath, content] of Object.entries(files)) {
+            this.writeFileSync(filePath, content);
+        }
+    }
+
+    resolve(filePath) {
+        return path.resolve(this.cwd, String(filePath));
+    }
+
+    existsSync(filePath) {
+        const resolved = this.resolve(filePath);
+        return this.files.has(resolved) || this.dirs.has(resolved);
+    }
+
+    statSync(filePath) {
+        const resolved = this.resolve(filePath);
+        const isFile = this.files.has(resolved);
+        if (!isFile && !this.dirs.has(resolved)) {
+            throw createError('ENOENT', 'no such file or directory', 'stat', resolved);
+        }
+        return {
+            isFile: () => isFile,
+            isDirectory: () => !isFile,
+            size: isFile ? this.files.get(resolved).length : 0
+        };
+    }
+
+    /**
+     * The content as a Buffer, or a string when an encoding is given
+     */
+    readFileSync(filePath, options) {
+        const resolved = this.resolve(filePath);
+        if (!this.files.has(resolved)) {
+            throw createError(this.dirs.has(resolved) ? 'EISDIR' : 'ENOENT',
+                this.dirs.has(resolved) ? 'illegal operation on a directory' : 'no such file or directory', 'open', resolved);
+        }
+        const encoding = typeof options === 'string' ? options : options && options.encoding;
+        const content = this.files.get(resolved);
+        return encoding ? content.toString(encoding) : Buffer.from(content);
+    }
+
+    writeFileSync(filePath, content) {
+        const resolved = this.resolve(filePath);
+        this.files.set(resolved, Buffer.isBuffer(content) ? Buffer.from(content) : Buffer.from(String(content)));
+        for (let dir = path.dirname(resolved); !this.dirs.has(dir); dir = path.dirname(dir)) {
+            this.dirs.add(dir);
+            if (path.dirname(dir) === dir) break;
+        }
+    }
+
+    mkdirSync(dirPath) {
+        const resolved = this.resolve(dirPath);
+        for (let dir = resolved; !this.dirs.has(dir); dir = path.dirname(dir)) {
+            this.dirs.add(dir);
+            if (path.dirname(dir) === dir) break;
+        }
+    }
+}
+
+/**
+ * An error like the ones the fs module throws
+ */
+function createError(code, description, syscall, filePath) {
+    const err = new Error(`${code}: ${description}, ${syscall} '${filePath}'`);
+    err.code = code;
+    err.syscall = syscall;
+    err.path = filePath;
+    return err;
+}
+
+module.exports = { MemoryFileSystem };
@@ -0,0 +1,346 @@
+/**
+ * Lexical scope analysis for a module AST
+ *
+ * Scope hoisting needs to know, for every identifier, whether it refers to
+ * a module-level binding (which may get renamed or replaced), a binding in
+ * some nested scope (left alone) or a global. acorn-walk has no notion of
+ * scopes, so this walks the tree by hand, declaring names the way the
+ * language hoists them: var and functions to the function scope,
+ * let/const/class to the enclosing block.
+ */
+
+/**
+ * A single scope with the names declared directly in it
+ */
+class Scope {
+    constructor(parent, isFunctionScope) {
+        this.parent = parent;
+        this.isFunctionScope = isFunctionScope;
+        this.names = new Set();
+    }
+
+    /**
+     * Find the scope a name resolves to, or null for globals
+     */
+    resolve(name) {
+        for (let scope = this; scope; scope = scope.parent) {
+            if (scope.names.has(name)) return scope;
+        }
+        return null;
+    }
+}
+
+/**
+ * Collect the identifiers declared by a binding pattern
+ */
+function collectPatternNames(pattern, names = []) {
+    if (!pattern) return names;
+
+    switch (pattern.type) {
+        case 'Identifier':
+            names.push(pattern.name);
+            break;
+        case 'ObjectPattern':
+            for (const property of pattern.properties) {
+                collectPatternNames(property.type === 'RestElement' ? property.argument : property.value, names);
+            }
+            break;
+        case 'ArrayPattern':
+            pattern.elements.forEach(element => collectPatternNames(element, names));
+            break;
+        case 'RestElement':
+            collectPatternNames(pattern.argument, names);
+            break;
+        case 'AssignmentPattern':
+            collectPatternNames(pattern.left, names);
+            break;
+    }
+
+    return names;
+}
+
+/**
+ * Declare the var declarations of a function body, without entering nested functions
+ */
+function declareVars(node, scope) {
+    if (!node || typeof node.type !== 'string') return;
+
+    if (node.type === 'VariableDeclaration') {
+        if (node.kind === 'var') {
+            node.declarations.forEach(declarator => {
+                collectPatternNames(declarator.id).forEach(name => scope.names.add(name));
+            });
+        }
+    } else if (/Function/.test(node.type) || /^Class/.test(node.type)) {
+        return;
+    }
+
+    for (const key of Object.keys(node)) {
+        const child = node[key];
+        if (Array.isArray(child)) {
+            child.forEach(item => declareVars(item, scope));
+        } else if (child && typeof child.type === 'string' && key !== 'loc') {
+            declareVars(child, scope);
+        }
+    }
+}
+
+/**
+ * Declare the lexical (let, const, class, function, import) bindings of a statement list
+ */
+function declareLexical(statements, scope) {
+    for (const statement of statements) {
+        const declaration = /^Export(Named|Default)Declaration$/.test(statement.type) && statement.declaration
+            ? statement.declaration
+            : statement;
+
+        if (declaration.type === 'VariableDeclaration' && declaration.kind !== 'var') {
+            declaration.declarations.forEach(declarator => {
+                collectPatternNames(declarator.id).forEach(name => scope.names.add(name));
+            });
+        } else if (['FunctionDeclaration', 'ClassDeclaration'].includes(declaration.type) && declaration.id) {
+            scope.names.add(declaration.id.name);
+        } else if (declaration.type === 'ImportDeclaration') {
+            declaration.specifiers.forEach(specifier => scope.names.add(specifier.local.name));
+        }
+    }
+}
+
+/**
+ * Analyze a module AST
+ * Returns:
+ * - references: every identifier bound at module level, declarations included,
+ *   as { node, name, shorthand } (shorthand: it is also an object property key)
+ * - globals: names used without any declaration
+ * - globalReferences: the identifiers that refer to globals
+ * - topLevelNames: names declared at module level, imports excluded
+ * - nestedNames: names declared in any nested scope
+ * - usesEval: whether direct eval could see the module's bindings
+ */
+function analyzeScope(ast) {
+    const moduleScope = new Scope(null, true);
+    const references = [];
+    const globals = new Set();
+    const globalReferences = [];
+    const nestedNames = new Set();
+    let usesEval = false;
+
+    declareVars(ast, moduleScope);
+    declareLexical(ast.body, moduleScope);
+
+    const recordNested = (scope) => {
+        scope.names.forEach(name => nestedNames.add(name));
+    };
+
+    const identifier = (node, scope, shorthand = false) => {
+        const owner = scope.resolve(node.name);
+        if (owner === moduleScope) {
+            references.push({ node, name: node.name, shorthand });
+        } else if (!owner) {
+            globals.add(node.name);
+            globalReferences.push(node);
+        }
+    };
+
+    const visitFunction = (node, scope) => {
+        // A named function expression can refer to itself by name
+        let outer = scope;
+        if (node.type === 'FunctionExpression' && node.id) {
+            outer = new Scope(scope, false);
+            outer.names.add(node.id.name);
+            recordNested(outer);
+        }
+
+        const functionScope = new Scope(outer, true);
+        node.params.forEach(param => {
+            collectPatternNames(param).forEach(name => functionScope.names.add(name));
+        });
+        if (node.type !== 'ArrowFunctionExpression') functionScope.names.add('arguments');
+
+        if (node.body.type === 'BlockStatement') {
+            declareVars(node.body, functionScope);
+            declareLexical(node.body.body, functionScope);
+        }
+        recordNested(functionScope);
+        nestedNames.delete('arguments');
+
+        node.params.forEach(param => visit(param, functionScope));
+        if (node.body.type === 'BlockStatement') {
+            node.body.body.forEach(statement => visit(statement, functionScope));
+        } else {
+            visit(node.body, functionScope);
+        }
+    };
+
+    const visitClass = (node, scope) => {
+        if (node.superClass) visit(node.superClass, scope);
+
+        // A class can refer to itself by name inside its body
+        let classScope = scope;
+        if (node.id && node.type === 'ClassExpression') {
+            classScope = new Scope(scope, false);
+            classScope.names.add(node.id.name);
+            recordNested(classScope);
+        }
+
+        for (const member of node.body.body) {
+            if (member.computed) visit(member.key, classScope);
+            if (member.value) visit(member.value, classScope);
+            if (member.type === 'StaticBlock') {
+                const blockScope = new Scope(classScope, true);
+                declareVars(member, blockScope);
+                declareLexical(member.body, blockScope);
+                recordNested(blockScope);
+                member.body.forEach(statement => visit(statement, blockScope));
+            }
+        }
+    };
+
+    const visitBlock = (statements, scope) => {
+        const blockScope = new Scope(scope, false);
+        declareLexical(statements, blockScope);
+        recordNested(blockScope);
+        statements.forEach(statement => visit(statement, blockScope));
+    };
+
+    function visit(node, scope) {
+        if (!node || typeof node.type !== 'string') return;
+
+        switch (node.type) {
+            case 'Identifier':
+                identifier(node, scope);
+                return;
+
+            case 'FunctionDeclaration':
+                if (node.id) identifier(node.id, scope);
+                visitFunction(node, scope);
+                return;
+
+            case 'FunctionExpression':
+            case 'ArrowFunctionExpression':
+                visitFunction(node, scope);
+                return;
+
+            case 'ClassDeclaration':
+                if (node.id) identifier(node.id, scope);
+                visitClass(node, scope);
+                return;
+
+            case 'ClassExpression':
+                visitClass(node, scope);
+                return;
+
+            case 'BlockStatement':
+                visitBlock(node.body, scope);
+                return;
+
+            case 'StaticBlock':
+                return;
+
+            case 'ForStatement':
+            case 'ForInStatement':
+            case 'ForOfStatement': {
+                // let/const in the loop head get their own scope
+                const loopScope = new Scope(scope, false);
+                const head = node.init || node.left;
+                if (head && head.type === 'VariableDeclaration') {
+                    declareLexical([head], loopScope);
+                }
+                recordNested(loopScope);
+                for (const key of ['init', 'left', 'test', 'update', 'right', 'body']) {
+                    visit(node[key], loopScope);
+                }
+                return;
+            }
+
+            case 'SwitchStatement': {
+                visit(node.discriminant, scope);
+                const switchScope = new Scope(scope, false);
+                node.cases.forEach(switchCase => declareLexical(switchCase.consequent, switchScope));
+                recordNested(switchScope);
+                node.cases.forEach(switchCase => {
+                    visit(switchCase.test, switchScope);
+                    switchCase.consequent.forEach(statement => visit(statement, switchScope));
+                });
+                return;
+            }
+
+            case 'CatchClause': {
+                const catchScope = new Scope(scope, false);
+                collectPatternNames(node.param).forEach(name => catchScope.names.add(name));
+                recordNested(catchScope);
+                visit(node.param, catchScope);
+                visit(node.body, catchScope);
+                return;
+            }
+
+            case 'MemberExpression':
+                visit(node.object, scope);
+                if (node.computed) visit(node.property, scope);
+                return;
+
+            case 'Property':
+                if (node.computed) visit(node.key, scope);
+                if (node.shorthand) {
+                    // { a } and { a = 1 }: the identifier is both key and value
+                    const value = node.value.type === 'AssignmentPattern' ? node.value.left : node.value;
+                    if (value.type === 'Identifier') {
+                        identifier(value, scope, true);
+                        if (node.value.type === 'AssignmentPattern') visit(node.value.right, scope);
+                        return;
+                    }
+                }
+                visit(node.value, scope);
+                return;
+
+            case 'CallExpression':
+                if (node.callee.type === 'Identifier' && node.callee.name === 'eval' && !scope.resolve('eval')) {
+                    usesEval = true;
+                }
+                break;
+
+            case 'LabeledStatement':
+                visit(node.body, scope);
+                return;
+
+            case 'BreakStatement':
+            case 'ContinueStatement':
+            case 'MetaProperty':
+            case 'ImportDeclaration':
+            case 'ExportSpecifier':
+                return;
+
+            case 'ExportNamedDeclaration':
+                // Specifiers are handled by whoever rewrites the export
+                visit(node.declaration, scope);
+                return;
+
+            case 'ExportAllDeclaration':
+                return;
+        }
+
+        for (const key of Object.keys(node)) {
+            if (key === 'loc') continue;
+            const child = node[key];
+            if (Array.isArray(child)) {
+                child.forEach(item => visit(item, scope));
+            } else if (child && typeof child.type === 'string') {
+                visit(child, scope);
+            }
+        }
+    }
+
+    ast.body.forEach(statement => visit(statement, moduleScope));
+
+    const importNames = new Set();
+    for (const statement of ast.body) {
+        if (statement.type === 'ImportDeclaration') {
+            statement.specifiers.forEach(specifier => importNames.add(specifier.local.name));
+        }
+    }
+    const topLevelNames = [...moduleScope.names].filter(name => !importNames.has(name));
+
+    return { references, globals, globalReferences, topLevelNames, nestedNames, usesEval };
+}
+
+module.exports = { analyzeScope, collectPatternNames };
@@ -0,0 +1,233 @@
+/**
+ * Minimal Source Map v3 helpers
+ *
+ * Just enough of the spec for the bundler: encoding and decoding the
+ * base64 VLQ "mappings" string, building a map from individual mappings,
+ * and chaining two maps together so plugin output (e.g. terser) still
+ * points at the original files.
+ */
+
+const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Encode a single number as a base64 VLQ string
+ */
+function encodeVLQ(value) {
+    // The sign is stored in the lowest bit
+    let vlq = value < 0 ? ((-value) << 1) + 1 : value << 1;
+    let encoded = '';
+
+    do {
+        let digit = vlq & 31;
+        vlq >>>= 5;
+        if (vlq > 0) digit |= 32;
+        encoded += BASE64_CHARS[digit];
+    } while (vlq > 0);
+
+    return encoded;
+}
+
+/**
+ * Decode a "mappings" string into an array of lines, each an array of
+ * segments [generatedColumn, sourceIndex, originalLine, originalColumn, nameIndex]
+ * with all values made absolute
+ */
+function decodeMappings(mappings) {
+    const lines = [];
+    const state = [0, 0, 0, 0, 0];
+
+    for (const line of mappings.split(';')) {
+        const segments = [];
+        state[0] = 0;
+
+        for (const rawSegment of line.split(',')) {
+            if (!rawSegment) continue;
+
+            const segment = [];
+            let value = 0;
+            let shift = 0;
+            for (const char of rawSegment) {
+                const digit = BASE64_CHARS.indexOf(char);
+                value += (digit & 31) << shift;
+                if (digit & 32) {
+                    shift += 5;
+                } else {
+                    const negative = value & 1;
+                    value >>>= 1;
+                    segment.push(negative ? -value : value);
+                    value = 0;
+                    shift = 0;
+                }
+            }
+
+            // Turn relative values into absolute ones
+            for (let i = 0; i < segment.length; i++) {
+                state[i] += segment[i];
+                segment[i] = state[i];
+            }
+            segments.push(segment);
+        }
+
+        lines.push(segments);
+    }
+
+    return lines;
+}
+
+/**
+ * Encode decoded lines (see decodeMappings) back into a "mappings" string
+ */
+function encodeMappings(lines) {
+    const state = [0, 0, 0, 0, 0];
+
+    return lines.map(segments => {
+        state[0] = 0;
+        return [...segments]
+            .sort((a, b) => a[0] - b[0])
+            .map(segment => segment.map((value, i) => {
+                const encoded = encodeVLQ(value - state[i]);
+                state[i] = value;
+                return encoded;
+            }).join(''))
+            .join(',');
+    }).join(';');
+}
+
+/**
+ * Collects mappings for a generated file and serializes them as a v3 map
+ */
+class SourceMapBuilder {
+    constructor(file) {
+        this.file = file;
+        this.sources = [];
+        this.sourcesContent = [];
+        this.names = [];
+        this.lines = [];
+    }
+
+    /**
+     * Register a source file and return its index
+     */
+    addSource(source, content = null) {
+        let index = this.sources.indexOf(source);
+        if (index === -1) {
+            index = this.sources.push(source) - 1;
+            this.sourcesContent[index] = content;
+        }
+        return index;
+    }
+
+    /**
+     * Register a symbol name and return its index
+     */
+    addName(name) {
+        let index = this.names.indexOf(name);
+        if (index === -1) {
+            index = this.names.push(name) - 1;
+        }
+        return index;
+    }
+
+    /**
+     * Add a mapping; lines and columns are zero-based
+     */
+    addMapping(generatedLine, generatedColumn, sourceIndex, originalLine, originalColumn, nameIndex) {
+        while (this.lines.length <= generatedLine) {
+            this.lines.push([]);
+        }
+
+        const segment = [generatedColumn, sourceIndex, originalLine, originalColumn];
+        if (nameIndex !== undefined) segment.push(nameIndex);
+        this.lines[generatedLine].push(segment);
+    }
+
+    /**
+     * Mark where generated code stops coming from a source, so the mapping
+     * before it doesn't extend over it; mappings are added left to right
+     */
+    addUnmapped(generatedLine, generatedColumn) {
+        while (this.lines.length <= generatedLine) {
+            this.lines.push([]);
+        }
+
+        const segments = this.lines[generatedLine];
+        const last = segments[segments.length - 1];
+        if (last && last.length > 1) segments.push([generatedColumn]);
+    }
+
+    toJSON() {
+        return {
+            version: 3,
+            file: this.file,
+            sources: this.sources,
+            sourcesContent: this.sourcesContent,
+            names: this.names,
+            mappings: encodeMappings(this.lines)
+        };
+    }
+}
+
+/**
+ * Find the segment on a decoded line closest to (but not after) a column
+ */
+function findSegment(segments, column) {
+    let found = null;
+    for (const segment of segments) {
+        if (segment[0] > column) break;
+        found = segment;
+    }
+    return found;
+}
+
+/**
+ * Chain two maps: `outer` maps the final code to an intermediate file,
+ * `inner` maps that intermediate file to the original sources
+ */
+function composeSourceMaps(outer, inner) {
+    const outerLines = decodeMappings(outer.mappings);
+    const innerLines = decodeMappings(inner.mappings).map(
+        segments => [...segments].sort((a, b) => a[0] - b[0])
+    );
+    const builder = new SourceMapBuilder(outer.file || inner.file);
+
+    outerLines.forEach((segments, generatedLine) => {
+        for (const segment of segments) {
+            const innerSegment = segment.length >= 4
+                ? findSegment(innerLines[segment[2]] || [], segment[3])
+                : null;
+            if (!innerSegment || innerSegment.length < 4) {
+                builder.addUnmapped(generatedLine, segment[0]);
+                continue;
+            }
+
+            const sourceIndex = builder.addSource(
+                inner.sources[innerSegment[1]],
+                inner.sourcesContent ? inner.sourcesContent[innerSegment[1]] : null
+            );
+
+            // Prefer the name recorded closest to the original source
+            let nameIndex;
+            if (innerSegment.length === 5) {
+                nameIndex = builder.addName(inner.names[innerSegment[4]]);
+            } else if (segment.length === 5) {
+                nameIndex = builder.addName(outer.names[segment[4]]);
+            }
+
+            builder.addMapping(
+                generatedLine, segment[0], sourceIndex,
+                innerSegment[2], innerSegment[3], nameIndex
+            );
+        }
+    });
+
+    return builder.toJSON();
+}
+
+module.exports = {
+    encodeVLQ,
+    decodeMappings,
+    encodeMappings,
+    SourceMapBuilder,
+    findSegment,
+    composeSourceMaps
+};
@@ -0,0 +1,294 @@
+/**
+ * Bundle stats: what went into the output, and how much of it each module is
+ *
+ * The bundler collects the stats themselves; this measures the final code
+ * of a chunk per source file through its source map (so minification is
+ * accounted for), and renders the stats as a self-contained HTML report
+ * with a treemap of the modules that works offline.
+ */
+
+const { decodeMappings } = require('./source-map');
+
+/**
+ * Count the bytes of code that each source of its map produced; bytes no
+ * source produced (the bundle runtime) are counted under null
+ */
+function measureSources(code, map) {
+    const sizes = new Map();
+    const add = (key, text) => sizes.set(key, (sizes.get(key) || 0) + Buffer.byteLength(text));
+
+    const lines = code.split('\n');
+    const mappingLines = decodeMappings(map.mappings);
+    lines.forEach((line, lineIndex) => {
+        const segments = mappingLines[lineIndex] || [];
+        // Code before the first segment of a line isn't mapped, nor are line breaks
+        add(null, line.slice(0, segments.length > 0 ? segments[0][0] : line.length));
+        if (lineIndex < lines.length - 1) add(null, '\n');
+
+        segments.forEach((segment, index) => {
+            const end = index + 1 < segments.length ? segments[index + 1][0] : line.length;
+            add(segment.length >= 4 ? map.sources[segment[1]] : null, line.slice(segment[0], end));
+        });
+    });
+    return sizes;
+}
+
+/**
+ * Render stats as an HTML page: a treemap of the chunks and their modules,
+ * a table of every module and the packages bundled more than once
+ */
+function renderStatsHtml(stats) {
+    // Keep the data from closing the script tag it is embedded in
+    const data = JSON.stringify(stats).replace(/</g, '\\u003c');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Bundle stats</title>
+<style>
+    body { margin: 0; font: 13px/1.4 system-ui, sans-serif; color: #222; background: #fafafa; }
+    header, main { padding: 12px 20px; }
+    header { background: #fff; border-bottom: 1px solid #ddd; }
+    h1 { font-size: 18px; margin: 0 0 4px; }
+    h2 { font-size: 15px; margin: 24px 0 8px; }
+    nav a { color: #0366d6; cursor: pointer; }
+    #treemap { position: relative; height: 60vh; min-height: 320px; background: #fff; border: 1px solid #ddd; }
+    .node { position: absolute; box-sizing: border-box; overflow: hidden; border: 1px solid rgba(0, 0, 0, 0.25); }
+    .node > span { display: block; padding: 1px 4px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; font-size: 11px; }
+    .group { background: rgba(0, 0, 0, 0.04); cursor: zoom-in; }
+    .group > span { font-weight: 600; }
+    table { border-collapse: collapse; width: 100%; background: #fff; }
+    th, td { text-align: left; padding: 3px 8px; border-bottom: 1px solid #eee; }
+    th.size, td.size { text-align: right; font-variant-numeric: tabular-nums; }
+    .muted { color: #888; }
+</style>
+</head>
+<body>
+<header>
+    <h1>Bundle stats</h1>
+    <div id="summary"></div>
+    <label>Size: <select id="measure">
+        <option value="minifiedSize">in the output (minified)</option>
+        <option value="transformedSize">transformed</option>
+        <option value="originalSize">original</option>
+    </select></label>
+    <nav id="crumbs"></nav>
+</header>
+<main>
+    <div id="treemap"></div>
+    <h2>Modules</h2>
+    <table>
+        <thead><tr><th>Module</th><th>Chunks</th><th class="size">Original</th><th class="size">Transformed</th><th class="size">Minified</th><th>Included because</th></tr></thead>
+        <tbody id="modules"></tbody>
+    </table>
+    <h2>Duplicated packages</h2>
+    <ul id="duplicates"></ul>
+</main>
+<script>
+const stats = ${data};
+const HEADER_HEIGHT = 16;
+let measure = 'minifiedSize';
+let path = [];
+
+function formatSize(bytes) {
+    if (bytes === null || bytes === undefined) return '-';
+    if (bytes < 1024) return bytes + ' B';
+    return (bytes / 1024).toFixed(bytes < 10240 ? 1 : 0) + ' kB';
+}
+
+function el(tag, attributes, text) {
+    const element = document.createElement(tag);
+    Object.assign(element, attributes);
+    if (text !== undefined) element.textContent = text;
+    return element;
+}
+
+function sizeOf(module) {
+    const size = module[measure];
+    return size === null || size === undefined ? module.transformedSize || 0 : size;
+}
+
+// Chunks, then the directories of the module IDs, then the modules
+function buildTree() {
+    const root = { name: 'bundle', children: [] };
+    for (const chunk of stats.chunks) {
+        const chunkNode = { name: chunk.fileName, children: [] };
+        root.children.push(chunkNode);
+        if (measure === 'minifiedSize' && chunk.runtimeSize) {
+            chunkNode.children.push({ name: '(runtime)', value: chunk.runtimeSize, runtime: true });
+        }
+        for (const module of stats.modules.filter(module => module.chunks.includes(chunk.name))) {
+            const parts = module.id.replace(/^\\.\\//, '').split('/');
+            let node = chunkNode;
+            for (const part of parts.slice(0, -1)) {
+                let child = node.children.find(other => other.name === part && other.children);
+                if (!child) node.children.push(child = { name: part, children: [] });
+                node = child;
+            }
+            node.children.push({ name: parts[parts.length - 1], value: sizeOf(module), module });
+        }
+    }
+    const total = (node) => node.children ? (node.value = node.children.reduce((sum, child) => sum + total(child), 0)) : node.value;
+    total(root);
+    return root;
+}
+
+// Worst aspect ratio of a row of areas laid along a side
+function worst(areas, side) {
+    const sum = areas.reduce((a, b) => a + b, 0);
+    const max = Math.max(...areas);
+    const min = Math.min(...areas);
+    return Math.max(side * side * max / (sum * sum), (sum * sum) / (side * side * min));
+}
+
+// Squarified treemap: rows are filled while that keeps their rectangles closer to squares
+function squarify(nodes, x, y, width, height) {
+    const total = nodes.reduce((sum, node) => sum + node.value, 0);
+    const scale = (width * height) / total;
+    const remaining = nodes.filter(node => node.value > 0).sort((a, b) => b.value - a.value);
+    const rects = [];
+
+    while (remaining.length > 0) {
+        const side = Math.min(width, height);
+        const row = [remaining.shift()];
+        while (remaining.length > 0) {
+            const areas = row.map(node => node.value * scale);
+            if (worst([...areas, remaining[0].value * scale], side) > worst(areas, side)) break;
+            row.push(remaining.shift());
+        }
+
+        const thickness = row.reduce((sum, node) => sum + node.value * scale, 0) / side;
+        let offset = 0;
+        for (const node of row) {
+            const length = node.value * scale / thickness;
+            rects.push(width >= height
+                ? { node, x, y: y + offset, width: thickness, height: length }
+                : { node, x: x + offset, y, width: length, height: thickness });
+            offset += length;
+        }
+        if (width >= height) {
+            x += thickness;
+            width -= thickness;
+        } else {
+            y += thickness;
+            height -= thickness;
+        }
+    }
+    return rects;
+}
+
+function colorOf(node) {
+    if (node.runtime) return '#ddd';
+    const id = node.module.id;
+    if (id.includes('node_modules/')) return '#f6c17a';
+    let hash = 0;
+    for (const char of id.split('/').slice(0, -1).join('/')) hash = (hash * 31 + char.charCodeAt(0)) % 360;
+    return 'hsl(' + hash + ', 55%, 75%)';
+}
+
+function drawNode(container, node, x, y, width, height, depth) {
+    const title = node.name + ' - ' + formatSize(node.value);
+    const element = el('div', { className: 'node' + (node.children ? ' group' : ''), title });
+    Object.assign(element.style, { left: x + 'px', top: y + 'px', width: width + 'px', height: height + 'px' });
+    container.appendChild(element);
+    if (width > 30 && height > 14) element.appendChild(el('span', {}, node.name));
+
+    if (!node.children) {
+        element.style.background = colorOf(node);
+        if (node.module) element.title = node.module.id + '\\n' + ['originalSize', 'transformedSize', 'minifiedSize']
+            .map(key => key.replace('Size', '') + ': ' + formatSize(node.module[key])).join('\\n');
+        return;
+    }
+
+    element.addEventListener('click', (event) => {
+        event.stopPropagation();
+        path = path.concat(node.name);
+        render();
+    });
+    if (width < 20 || height < HEADER_HEIGHT + 10 || depth > 8) return;
+    for (const rect of squarify(node.children, 0, HEADER_HEIGHT, width - 2, height - HEADER_HEIGHT - 2)) {
+        drawNode(element, rect.node, rect.x, rect.y, rect.width, rect.height, depth + 1);
+    }
+}
+
+function renderTreemap() {
+    let node = buildTree();
+    const crumbs = [node];
+    for (const name of path) {
+        const child = node.children.find(other => other.name === name && other.children);
+        if (!child) break;
+        crumbs.push(node = child);
+    }
+
+    const nav = document.getElementById('crumbs');
+    nav.textContent = '';
+    crumbs.forEach((crumb, index) => {
+        if (index > 0) nav.append(' / ');
+        const link = el('a', {}, crumb.name);
+        link.addEventListener('click', () => {
+            path = path.slice(0, index);
+            render();
+        });
+        nav.appendChild(link);
+    });
+
+    const treemap = document.getElementById('treemap');
+    treemap.textContent = '';
+    if (!node.value) return;
+    for (const rect of squarify(node.children, 0, 0, treemap.clientWidth - 2, treemap.clientHeight - 2)) {
+        drawNode(treemap, rect.node, rect.x, rect.y, rect.width, rect.height, 0);
+    }
+}
+
+function describeReason(reason) {
+    if (reason.type === 'entry') return 'entry "' + reason.name + '"';
+    return (reason.type === 'dynamic-import' ? 'dynamically imported by ' : 'imported by ') + reason.module;
+}
+
+function renderTables() {
+    const tbody = document.getElementById('modules');
+    tbody.textContent = '';
+    const modules = stats.modules.slice().sort((a, b) => (b.included - a.included) || sizeOf(b) - sizeOf(a));
+    for (const module of modules) {
+        const row = el('tr', { className: module.included ? '' : 'muted' });
+        row.appendChild(el('td', {}, module.id));
+        row.appendChild(el('td', {}, module.included ? module.chunks.join(', ') : 'not included'));
+        for (const key of ['originalSize', 'transformedSize', 'minifiedSize']) {
+            row.appendChild(el('td', { className: 'size' }, formatSize(module[key])));
+        }
+        row.appendChild(el('td', {}, module.reasons.map(describeReason).join('; ')));
+        tbody.appendChild(row);
+    }
+
+    const list = document.getElementById('duplicates');
+    list.textContent = '';
+    if (stats.duplicates.length === 0) list.appendChild(el('li', { className: 'muted' }, 'None'));
+    for (const duplicate of stats.duplicates) {
+        const copies = duplicate.copies.map(copy => (copy.version || '?') + ' in ' + copy.dir + ' (' + formatSize(copy.size) + ')');
+        list.appendChild(el('li', {}, duplicate.name + ': ' + copies.join(', ')));
+    }
+}
+
+function render() {
+    const included = stats.modules.filter(module => module.included);
+    document.getElementById('summary').textContent =
+        stats.chunks.length + ' chunk(s), ' + included.length + ' module(s), ' +
+        formatSize(stats.chunks.reduce((sum, chunk) => sum + chunk.size, 0)) + ' of JavaScript';
+    renderTreemap();
+    renderTables();
+}
+
+document.getElementById('measure').addEventListener('change', (event) => {
+    measure = event.target.value;
+    render();
+});
+window.addEventListener('resize', renderTreemap);
+render();
+</script>
+</body>
+</html>
+`;
+}
+
+module.exports = { measureSources, renderStatsHtml };
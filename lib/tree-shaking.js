@@ -0,0 +1,216 @@
+/**
+ * AST helpers for tree shaking
+ *
+ * Deciding whether code can be dropped comes down to two questions:
+ * does evaluating it have side effects, and is anything still referring
+ * to it. Both are answered conservatively: when in doubt, code is kept.
+ */
+
+const walk = require('acorn-walk');
+
+/**
+ * Check for a /*#__PURE__*\/ (or @__PURE__) annotation right before a node
+ */
+function hasPureAnnotation(node, content) {
+    const preceding = content.slice(Math.max(0, node.start - 64), node.start);
+    return /\/\*\s*[#@]__PURE__\s*\*\/[\s(]*$/.test(preceding);
+}
+
+/**
+ * Check if evaluating an expression can't have observable side effects
+ */
+function isPureExpression(node, content) {
+    if (!node) return true;
+
+    switch (node.type) {
+        case 'Literal':
+        case 'Identifier':
+        case 'ThisExpression':
+        case 'FunctionExpression':
+        case 'ArrowFunctionExpression':
+            return true;
+
+        case 'ClassExpression':
+            return isPureClass(node, content);
+
+        case 'TemplateLiteral':
+            return node.expressions.every(expression => isPureExpression(expression, content));
+
+        case 'ArrayExpression':
+            return node.elements.every(element =>
+                element === null ||
+                (element.type !== 'SpreadElement' && isPureExpression(element, content))
+            );
+
+        case 'ObjectExpression':
+            return node.properties.every(property =>
+                property.type === 'Property' &&
+                (!property.computed || isPureExpression(property.key, content)) &&
+                isPureExpression(property.value, content)
+            );
+
+        case 'UnaryExpression':
+            return node.operator !== 'delete' && isPureExpression(node.argument, content);
+
+        case 'BinaryExpression':
+        case 'LogicalExpression':
+            return isPureExpression(node.left, content) && isPureExpression(node.right, content);
+
+        case 'ConditionalExpression':
+            return isPureExpression(node.test, content) &&
+                   isPureExpression(node.consequent, content) &&
+                   isPureExpression(node.alternate, content);
+
+        case 'SequenceExpression':
+            return node.expressions.every(expression => isPureExpression(expression, content));
+
+        case 'CallExpression':
+        case 'NewExpression':
+            // Calls are only pure when annotated as such
+            return hasPureAnnotation(node, content) &&
+                   node.arguments.every(argument =>
+                       argument.type !== 'SpreadElement' && isPureExpression(argument, content)
+                   );
+
+        default:
+            return false;
+    }
+}
+
+/**
+ * Check if defining a class can't have side effects
+ */
+function isPureClass(node, content) {
+    if (node.superClass && !isPureExpression(node.superClass, content)) return false;
+
+    return node.body.body.every(member => {
+        if (member.type === 'StaticBlock') return false;
+        if (member.computed && !isPureExpression(member.key, content)) return false;
+        // Static fields are evaluated when the class is defined
+        if (member.type === 'PropertyDefinition' && member.static) {
+            return isPureExpression(member.value, content);
+        }
+        return true;
+    });
+}
+
+/**
+ * Check if a declaration (variable, function or class) is free of side effects
+ */
+function isPureDeclaration(node, content) {
+    switch (node.type) {
+        case 'FunctionDeclaration':
+            return true;
+
+        case 'ClassDeclaration':
+            return isPureClass(node, content);
+
+        case 'VariableDeclaration':
+            // Destructuring can run getters and iterators, so only plain names count
+            return node.declarations.every(declarator =>
+                declarator.id.type === 'Identifier' && isPureExpression(declarator.init, content)
+            );
+
+        default:
+            return false;
+    }
+}
+
+/**
+ * Check if a top-level statement of a module is free of side effects
+ */
+function isPureStatement(node, content) {
+    switch (node.type) {
+        case 'ImportDeclaration':
+        case 'ExportAllDeclaration':
+        case 'EmptyStatement':
+            return true;
+
+        case 'ExportNamedDeclaration':
+            return !node.declaration || isPureDeclaration(node.declaration, content);
+
+        case 'ExportDefaultDeclaration':
+            return ['FunctionDeclaration', 'ClassDeclaration'].includes(node.declaration.type)
+                ? isPureDeclaration(node.declaration, content)
+                : isPureExpression(node.declaration, content);
+
+        case 'ExpressionStatement':
+            // Directives such as 'use strict'
+            return node.directive !== undefined || isPureExpression(node.expression, content);
+
+        default:
+            return isPureDeclaration(node, content);
+    }
+}
+
+/**
+ * Collect the names declared by a top-level declaration
+ */
+function getDeclaredNames(node) {
+    if (node.type === 'VariableDeclaration') {
+        return node.declarations
+            .filter(declarator => declarator.id.type === 'Identifier')
+            .map(declarator => declarator.id.name);
+    }
+    return node.id ? [node.id.name] : [];
+}
+
+/**
+ * Collect every identifier in a module that may refer to a top-level binding,
+ * leaving out the identifiers that declare those bindings
+ * Returns [{ name, start }]; shadowed names are included, which only keeps more code
+ */
+function collectReferences(ast) {
+    const declarationIds = new Set();
+    for (const statement of ast.body) {
+        const declaration = statement.type.startsWith('Export') && statement.declaration
+            ? statement.declaration
+            : statement;
+
+        if (declaration.type === 'VariableDeclaration') {
+            declaration.declarations.forEach(declarator => declarationIds.add(declarator.id));
+        } else if (declaration.id) {
+            declarationIds.add(declaration.id);
+        }
+    }
+
+    // Local export specifiers (export { x }) aren't visited by acorn-walk,
+    // callers decide whether those count
+    const references = [];
+    walk.full(ast, (node) => {
+        if (node.type === 'Identifier' && !declarationIds.has(node)) {
+            references.push({ name: node.name, start: node.start });
+        }
+    });
+
+    return references;
+}
+
+/**
+ * Match a file against a package.json "sideEffects" array; patterns
+ * without a slash match the file name anywhere, like webpack does
+ */
+function matchesSideEffectsPattern(relativePath, patterns) {
+    return patterns.some(pattern => {
+        const normalized = pattern.replace(/^\.\//, '');
+        const target = normalized.includes('/') ? relativePath : relativePath.split('/').pop();
+        const regex = new RegExp('^' + normalized.replace(/\*\*\/|\*\*|\*|\?|[.+^${}()|[\]\\]/g, token => {
+            if (token === '**/') return '(?:.*/)?';
+            if (token === '**') return '.*';
+            if (token === '*') return '[^/]*';
+            if (token === '?') return '[^/]';
+            return '\\' + token;
+        }) + '$');
+        return regex.test(target);
+    });
+}
+
+module.exports = {
+    hasPureAnnotation,
+    isPureExpression,
+    isPureDeclaration,
+    isPureStatement,
+    getDeclaredNames,
+    collectReferences,
+    matchesSideEffectsPattern
+};
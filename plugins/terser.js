@@ -3,13 +3,25 @@ const { minify } = require('terser');
 function terser(options = {}) {
     return {
         name: 'terser',
+        // Cached bundles are only reused with the same terser and options
+        version: require('terser/package.json').version,
+        cacheKey: JSON.stringify(options),
         // Implement the bundle hook
-        async bundle(content) {
+        async bundle(content, { sourceMap } = {}) {
             try {
-                const result = await minify(content, options);
-                return result.code;
+                if (!sourceMap) {
+                    const result = await minify(content, options);
+                    return result.code;
+                }
+
+                // Return terser's own map so the bundler can chain it
+                const result = await minify(content, {
+                    ...options,
+                    sourceMap: { asObject: true }
+                });
+                return { code: result.code, map: result.map };
             } catch (error) {
-                console.error('Terser plugin error:', error);
+                this.warn(`minification failed, bundle left unminified: ${error.message}`);
                 return content;
             }
         }
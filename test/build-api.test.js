@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SimpleBundler, runBundle } = require('./helpers');
+
+test('a bundler builds again from the files as they are now', async () => {
+    const bundler = new SimpleBundler({
+        files: {
+            '/src/index.js': "import { value } from './value.js';\nexport { value };\n",
+            '/src/value.js': "export const value = 'first';\n"
+        },
+        entry: '/src/index.js',
+        output: { file: '/dist/bundle.js', format: 'iife', name: 'App' },
+        logger: false
+    });
+
+    const first = await bundler.build();
+    assert.strictEqual(runBundle(first.chunks[0].code).App.value, 'first');
+
+    bundler.fs.writeFileSync('/src/value.js', "export const value = 'second';\n");
+    const second = await bundler.build();
+    assert.strictEqual(runBundle(second.chunks[0].code).App.value, 'second');
+
+    // Imports that go away take their modules with them
+    bundler.fs.writeFileSync('/src/index.js', "export const value = 'third';\n");
+    const third = await bundler.build();
+    assert.strictEqual(runBundle(third.chunks[0].code).App.value, 'third');
+    assert.deepStrictEqual(third.modules.map(module => module.id), ['./index.js']);
+});
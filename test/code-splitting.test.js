@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { bundle, writeProject } = require('./helpers');
+
+/**
+ * Write a build's chunks to a temporary directory and require() the entry
+ * chunk named fileName
+ */
+function requireOutput(t, { chunks }, fileName) {
+    const dir = writeProject(t, Object.fromEntries(chunks.map(chunk => [chunk.fileName, chunk.code])));
+    return require(path.join(dir, fileName));
+}
+
+const files = {
+    '/src/index.js': "export const load = () => import('./lazy.js').then(lazy => lazy.double(21));\n",
+    '/src/lazy.js': "import { factor } from './factor.js';\nexport const double = value => value * factor;\n",
+    '/src/factor.js': 'export const factor = 2;\n'
+};
+
+for (const scopeHoist of [false, true]) {
+    test(`cjs bundles load lazy chunks with require()${scopeHoist ? ' (scope hoisting)' : ''}`, async (t) => {
+        const result = await bundle(files, { output: { file: '/dist/bundle.js', format: 'cjs' }, scopeHoist });
+        assert.strictEqual(result.chunks.length, 2);
+        assert.doesNotMatch(result.chunks[0].code, /document|self\./);
+
+        assert.strictEqual(await requireOutput(t, result, 'bundle.js').load(), 42);
+    });
+}
+
+test('cjs entries load their shared chunks right away', async (t) => {
+    const result = await bundle({
+        '/src/a.js': "import { shared } from './shared.js';\nexport const load = () => import('./lazy.js').then(lazy => lazy.double(shared));\n",
+        '/src/b.js': "import { shared } from './shared.js';\nexport const b = 'b' + shared;\n",
+        '/src/shared.js': 'export const shared = 21;\n',
+        '/src/lazy.js': 'export const double = value => value * 2;\n'
+    }, { entry: { a: '/src/a.js', b: '/src/b.js' }, output: { dir: '/dist', format: 'cjs' } });
+
+    assert.strictEqual(requireOutput(t, result, 'b.js').b, 'b21');
+    assert.strictEqual(await requireOutput(t, result, 'a.js').load(), 42);
+});
+
+test('async page scripts that need shared chunks wait for them', async () => {
+    const { assets } = await bundle({
+        '/src/index.html': '<script type="module" src="./a.js" async></script>\n<script type="module" src="./b.js" async></script>\n' +
+            '<script type="module" src="./alone.js" async></script>\n',
+        '/src/a.js': "import { shared } from './shared.js';\nconsole.log('a', shared);\n",
+        '/src/b.js': "import { shared } from './shared.js';\nconsole.log('b', shared);\n",
+        '/src/alone.js': "console.log('alone');\n",
+        '/src/shared.js': 'export const shared = 21;\n'
+    }, { entry: '/src/index.html', output: { dir: '/dist', format: 'esm' } });
+
+    const page = String(assets.find(asset => asset.fileName === 'index.html').source);
+    assert.match(page, /<script defer src="shared-a-b\.chunk\.js"><\/script>\n<script type="module" src="a\.js"><\/script>/);
+    assert.match(page, /<script type="module" src="b\.js"><\/script>/);
+    assert.match(page, /<script type="module" src="alone\.js" async><\/script>/);
+});
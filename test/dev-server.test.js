@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { SimpleBundler, bundle, writeProject } = require('./helpers');
+const { startDevServer } = require('../lib/dev-server');
+
+/**
+ * Make a GET request and resolve with its status code and body
+ */
+function get(port, urlPath) {
+    return new Promise((resolve, reject) => {
+        http.get({ port, path: urlPath }, (res) => {
+            let body = '';
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, body }));
+        }).on('error', reject);
+    });
+}
+
+test('the dev server answers malformed URLs with 400 and keeps running', async (t) => {
+    const root = writeProject(t, {
+        'src/index.js': "console.log('hi');\n",
+        'page.txt': 'static'
+    });
+
+    const bundler = new SimpleBundler({ cwd: root, entry: 'src/index.js', output: 'dist/bundle.js', logger: false });
+    const devServer = startDevServer(bundler, { port: 0 });
+    await new Promise(resolve => devServer.server.on('listening', resolve));
+    t.after(() => devServer.close());
+
+    const { port } = devServer.server.address();
+    assert.strictEqual((await get(port, '/%E0%A4%A')).status, 400);
+    assert.deepStrictEqual(await get(port, '/page.txt'), { status: 200, body: 'static' });
+});
+
+test('a port in use is logged and stops the watcher', async (t) => {
+    const root = writeProject(t, { 'src/index.js': "console.log('hi');\n" });
+    const config = { cwd: root, entry: 'src/index.js', output: 'dist/bundle.js', logger: false };
+
+    const first = startDevServer(new SimpleBundler(config), { port: 0 });
+    await new Promise(resolve => first.server.on('listening', resolve));
+    t.after(() => first.close());
+
+    const errors = [];
+    const logger = { log() {}, warn() {}, error: message => errors.push(message) };
+    const bundler = new SimpleBundler({ ...config, logger });
+    let watcherClosed = false;
+    const watch = bundler.watch.bind(bundler);
+    bundler.watch = (...args) => {
+        const watcher = watch(...args);
+        return { ...watcher, close: () => { watcherClosed = true; watcher.close(); } };
+    };
+    const second = startDevServer(bundler, { port: first.server.address().port });
+    await new Promise(resolve => second.server.on('error', () => setImmediate(resolve)));
+
+    assert.ok(errors.some(message => /port \d+ is already in use/.test(message)));
+    assert.strictEqual(watcherClosed, true);
+});
+
+test('a malformed script src of an HTML entry is a build error', async () => {
+    await assert.rejects(bundle({
+        '/src/index.html': '<script type="module" src="./%E0%A4%A.js"></script>'
+    }, { entry: '/src/index.html', output: '/dist/[name].js' }), /isn't a valid URL: \.\/%E0%A4%A\.js/);
+});
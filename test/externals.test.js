@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { bundle, writeProject } = require('./helpers');
+
+test('an esm entry passes on export * from externals', async (t) => {
+    const { chunks } = await bundle({
+        '/src/index.js': "export * from 'colors';\nexport * from './more.js';\nexport const red = 'own';\n",
+        '/src/more.js': "export * from 'sizes';\n"
+    }, { output: { file: '/dist/bundle.mjs', format: 'esm' }, externals: ['colors', 'sizes'] });
+
+    const dir = writeProject(t, {
+        'bundle.mjs': chunks[0].code,
+        'node_modules/colors/package.json': '{ "type": "module", "main": "index.js" }',
+        'node_modules/colors/index.js': "export const red = '#f00';\nexport const blue = '#00f';\nexport default 'colors';\n",
+        'node_modules/sizes/package.json': '{ "type": "module", "main": "index.js" }',
+        'node_modules/sizes/index.js': 'export const large = 3;\n'
+    });
+
+    const exports = await import(path.join(dir, 'bundle.mjs'));
+    assert.deepStrictEqual({ ...exports }, { blue: '#00f', large: 3, red: 'own' });
+});
+
+test('packages that are neither found nor external are errors in strict mode', async () => {
+    const files = { '/src/index.js': "import colors from 'colors';\nconsole.log(colors);\n" };
+
+    await assert.rejects(bundle(files), /Could not find package 'colors'.*list it in externals/);
+
+    const { warnings } = await bundle(files, { strict: false });
+    assert.strictEqual(warnings.length, 1);
+    assert.match(warnings[0].message, /Could not find package 'colors'/);
+});
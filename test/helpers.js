@@ -0,0 +1,53 @@
+/**
+ * Test helpers
+ *
+ * Builds run in memory through the programmatic API, and bundles are run
+ * in a fresh VM context, so tests touch neither the disk nor each other.
+ * What needs real files (Node loading a bundle, watch mode, the dev
+ * server) gets a temporary directory of its own.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const SimpleBundler = require('../bundler');
+
+/**
+ * Build an in-memory project; files maps paths to sources
+ */
+async function bundle(files, config = {}) {
+    const bundler = new SimpleBundler({
+        files,
+        entry: '/src/index.js',
+        output: '/dist/bundle.js',
+        logger: false,
+        ...config
+    });
+    return bundler.build();
+}
+
+/**
+ * Run an iife bundle and return what it assigned to its global name
+ */
+function runBundle(code, globals = {}) {
+    const context = vm.createContext({ console, ...globals });
+    vm.runInContext(code, context);
+    return context;
+}
+
+/**
+ * Write files (paths relative to the directory) into a temporary directory
+ * that is removed after the test; returns its path
+ */
+function writeProject(t, files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'simple-bundler-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    for (const [fileName, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(dir, fileName)), { recursive: true });
+        fs.writeFileSync(path.join(dir, fileName), content);
+    }
+    return dir;
+}
+
+module.exports = { SimpleBundler, bundle, runBundle, writeProject };
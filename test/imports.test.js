@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { bundle, runBundle } = require('./helpers');
+
+const output = { file: '/dist/bundle.js', format: 'iife', name: 'App' };
+
+test('imports from specifiers that only differ in punctuation read their own modules', async () => {
+    const { chunks } = await bundle({
+        '/src/index.js': "import x from './a-b.js';\nimport y from './a_b.js';\nexport const values = [x, y];\n",
+        '/src/a-b.js': "export default 'dash';\n",
+        '/src/a_b.js': "export default 'underscore';\n"
+    }, { output });
+
+    assert.deepStrictEqual([...runBundle(chunks[0].code).App.values], ['dash', 'underscore']);
+});
+
+test('several imports from one module share its binding', async () => {
+    const { chunks } = await bundle({
+        '/src/index.js': "import { a } from './ab.js';\nimport { b } from './ab';\nexport const values = [a, b];\n",
+        '/src/ab.js': "export const a = 1;\nexport const b = 2;\n"
+    }, { output });
+
+    assert.deepStrictEqual([...runBundle(chunks[0].code).App.values], [1, 2]);
+    assert.strictEqual(chunks[0].code.match(/const _require_\w+ = /g).length, 1);
+});
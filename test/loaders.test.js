@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const { bundle } = require('./helpers');
+
+/**
+ * A context with just enough of a document to run an iife bundle from
+ * scriptUrl and load its chunks with script tags; currentScript is only
+ * set while the bundle's own script runs, as in a browser
+ */
+function createPage(chunks, scriptUrl) {
+    const context = vm.createContext({ console });
+    context.self = context;
+    context.document = {
+        currentScript: null,
+        head: {
+            appendChild(script) {
+                const chunk = chunks.find(other => scriptUrl.replace(/[^/]*$/, other.fileName) === script.src);
+                setTimeout(() => {
+                    vm.runInContext(chunk.code, context);
+                    script.onload();
+                });
+            }
+        },
+        createElement: () => ({})
+    };
+
+    context.document.currentScript = { src: scriptUrl };
+    vm.runInContext(chunks.find(chunk => chunk.isEntry).code, context);
+    context.document.currentScript = null;
+    return context;
+}
+
+const image = Buffer.alloc(8192, 1);
+
+for (const scopeHoist of [false, true]) {
+    test(`asset URLs keep the public path in lazily loaded chunks${scopeHoist ? ' (scope hoisting)' : ''}`, async () => {
+        const { chunks } = await bundle({
+            '/src/index.js': "import logo from './logo.png';\nexport const urls = () => import('./lazy.js').then(lazy => [logo, lazy.icon]);\n",
+            '/src/lazy.js': "export { default as icon } from './icon.png';\n",
+            '/src/logo.png': image,
+            '/src/icon.png': Buffer.alloc(8192, 2)
+        }, { output: { file: '/dist/bundle.js', format: 'iife', name: 'App' }, scopeHoist });
+
+        const page = createPage(chunks, 'https://example.com/static/bundle.js');
+        const [logo, icon] = await page.App.urls();
+        assert.match(logo, /^https:\/\/example\.com\/static\/logo\.\w{8}\.png$/);
+        assert.match(icon, /^https:\/\/example\.com\/static\/icon\.\w{8}\.png$/);
+    });
+}
+
+test('asset URLs use the configured publicPath', async () => {
+    const { chunks } = await bundle({
+        '/src/index.js': "import logo from './logo.png';\nexport { logo };\n",
+        '/src/logo.png': image
+    }, { output: { file: '/dist/bundle.js', format: 'iife', name: 'App' }, publicPath: '/assets/', scopeHoist: true });
+
+    assert.match(createPage(chunks, 'https://example.com/bundle.js').App.logo, /^\/assets\/logo\.\w{8}\.png$/);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { bundle, runBundle, writeProject } = require('./helpers');
+
+const files = {
+    '/src/index.js': "import { 'a-b' as ab, plain } from './names.js';\n" +
+        "export { ab as 'x y', plain };\nexport { 'a-b' as 'c d' } from './names.js';\n",
+    '/src/names.js': "const value = 'dashed';\nexport { value as 'a-b' };\nexport const plain = 'plain';\n"
+};
+
+for (const scopeHoist of [false, true]) {
+    test(`string export and import names keep their bindings${scopeHoist ? ' (scope hoisting)' : ''}`, async () => {
+        const { chunks, warnings } = await bundle(files, {
+            output: { file: '/dist/bundle.js', format: 'iife', name: 'App' }, scopeHoist, strict: true
+        });
+
+        assert.deepStrictEqual(warnings, []);
+        assert.deepStrictEqual({ ...runBundle(chunks[0].code).App }, { 'x y': 'dashed', plain: 'plain', 'c d': 'dashed' });
+    });
+}
+
+test('an esm bundle exports string names', async (t) => {
+    const { chunks } = await bundle(files, { output: { file: '/dist/bundle.mjs', format: 'esm' } });
+    const dir = writeProject(t, { 'bundle.mjs': chunks[0].code });
+
+    const exports = await import(path.join(dir, 'bundle.mjs'));
+    assert.deepStrictEqual({ ...exports }, { 'x y': 'dashed', plain: 'plain', 'c d': 'dashed' });
+});
+
+test('a missing string import name is reported', async () => {
+    await assert.rejects(bundle({
+        '/src/index.js': "import { 'no such' as missing } from './names.js';\nconsole.log(missing);\n",
+        '/src/names.js': 'export const plain = 1;\n'
+    }), /no such/);
+});
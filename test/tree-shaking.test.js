@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { bundle, runBundle } = require('./helpers');
+
+const output = { file: '/dist/bundle.js', format: 'iife', name: 'App' };
+
+const files = {
+    '/src/index.js': "import { used } from './lib.js';\nexport const value = used;\n",
+    '/src/lib.js': "import { format } from './dep.js';\nexport const used = 'used';\nexport function unused() { return format(); }\n",
+    '/src/dep.js': "export function format() { return 'formatted'; }\n"
+};
+
+for (const scopeHoist of [false, true]) {
+    test(`imports only dropped code used are dropped with it${scopeHoist ? ' (scope hoisting)' : ''}`, async () => {
+        const { chunks, modules } = await bundle(files, { output, scopeHoist });
+
+        assert.strictEqual(modules.find(module => module.id === './dep.js').included, false);
+        assert.doesNotMatch(chunks[0].code, /formatted/);
+        assert.strictEqual(runBundle(chunks[0].code).App.value, 'used');
+    });
+}
+
+test('dropping an import can leave more code unused', async () => {
+    const { modules } = await bundle({
+        ...files,
+        '/src/dep.js': "import { pad } from './pad.js';\nexport function format() { return pad('formatted'); }\n",
+        '/src/pad.js': "export const pad = text => ' ' + text;\n"
+    }, { output });
+
+    assert.deepStrictEqual(modules.filter(module => module.included).map(module => module.id).sort(), ['./index.js', './lib.js']);
+});
+
+test('modules with side effects stay when their imports go', async () => {
+    const { chunks } = await bundle({
+        ...files,
+        '/src/dep.js': "globalThis.log.push('dep ran');\nexport function format() { return 'formatted'; }\n"
+    }, { output });
+
+    const page = runBundle(chunks[0].code, { log: [] });
+    assert.deepStrictEqual([...page.log], ['dep ran']);
+});
+
+test('imports of modules a package marks as side-effectful stay', async () => {
+    const { modules } = await bundle({
+        ...files,
+        '/src/lib.js': "import { format } from 'formatter';\nexport const used = 'used';\nexport function unused() { return format(); }\n",
+        '/node_modules/formatter/package.json': '{ "main": "index.js", "sideEffects": ["index.js"] }',
+        '/node_modules/formatter/index.js': "export function format() { return 'formatted'; }\n"
+    }, { output });
+
+    assert.strictEqual(modules.find(module => module.id.endsWith('formatter/index.js')).included, true);
+});
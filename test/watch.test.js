@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { SimpleBundler, writeProject } = require('./helpers');
+
+/**
+ * Watch a project in a temporary directory; next() resolves with the
+ * outcome of the next build, { code } or { error }
+ */
+function watchProject(t, files) {
+    const root = writeProject(t, files);
+
+    const outcomes = [];
+    const waiting = [];
+    const settle = (outcome) => waiting.length > 0 ? waiting.shift()(outcome) : outcomes.push(outcome);
+
+    const bundler = new SimpleBundler({ cwd: root, entry: 'src/index.js', output: 'dist/bundle.js', logger: false });
+    const watcher = bundler.watch(null, {
+        debounce: 20,
+        onBuild: ({ code }) => settle({ code }),
+        onError: (error) => settle({ error })
+    });
+    t.after(() => watcher.close());
+
+    return {
+        root,
+        ready: watcher.ready,
+        next: () => outcomes.length > 0 ? Promise.resolve(outcomes.shift()) : new Promise(resolve => waiting.push(resolve))
+    };
+}
+
+test('creating the missing file of an import rebuilds', async (t) => {
+    const project = watchProject(t, {
+        'src/index.js': "import { message } from './lib/message.js';\nconsole.log(message);\n"
+    });
+
+    assert.match((await project.next()).error.message, /message\.js/);
+    await project.ready;
+
+    // The directory doesn't exist yet either
+    fs.mkdirSync(path.join(project.root, 'src/lib'));
+    await new Promise(resolve => setTimeout(resolve, 100));
+    fs.writeFileSync(path.join(project.root, 'src/lib/message.js'), "export const message = 'created';\n");
+
+    const { code, error } = await project.next();
+    assert.strictEqual(error, undefined);
+    assert.match(code, /created/);
+});